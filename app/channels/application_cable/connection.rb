@@ -2,5 +2,17 @@
 
 module ApplicationCable
   class Connection < ActionCable::Connection::Base
+    identified_by :current_user
+
+    def connect
+      self.current_user = find_verified_user
+    end
+
+    private
+
+    # Same Devise session as the pages that subscribe
+    def find_verified_user
+      env['warden']&.user || reject_unauthorized_connection
+    end
   end
 end
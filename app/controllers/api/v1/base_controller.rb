@@ -0,0 +1,99 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Read-only JSON API for external BI tools.
+    #
+    # Requests authenticate with an ApiToken and act as its user, so the
+    # usual Pundit policies decide what each token may read:
+    #   curl -H "Authorization: Bearer <token>" \
+    #     "https://example.com/api/v1/production?group_by=block&start_date=2026-01-01&end_date=2026-03-31&page=2"
+    #
+    # Every endpoint takes start_date / end_date (ISO dates, the last year by
+    # default) and page / per_page, and answers:
+    #   { data: [...], meta: { start_date:, end_date:, page:, per_page:, pages:, count: } }
+    class BaseController < ActionController::API
+      include ActionController::HttpAuthentication::Token::ControllerMethods
+      include Pundit::Authorization
+      include Pagy::Method
+
+      DEFAULT_PER_PAGE = 100
+      MAX_PER_PAGE = 1000
+
+      # Raised for unusable query parameters, answered with 400
+      class InvalidParameter < StandardError; end
+
+      before_action :authenticate_api_token!
+
+      rescue_from Pundit::NotAuthorizedError, with: :forbidden
+      rescue_from InvalidParameter, with: :bad_request
+
+      private
+
+      attr_reader :current_user
+
+      def authenticate_api_token!
+        api_token = authenticate_with_http_token { |token, _options| ApiToken.authenticate(token) }
+        @current_user = api_token&.user
+        Current.user = @current_user
+        return if @current_user
+
+        headers['WWW-Authenticate'] = 'Bearer realm="Application"'
+        render json: { error: 'Missing, invalid or expired API token.' }, status: :unauthorized
+      end
+
+      def period
+        @period ||= begin
+          end_date = date_param(:end_date) || Date.current
+          start_date = date_param(:start_date) || end_date.prev_year.next_day
+          raise InvalidParameter, 'start_date must not be after end_date.' if start_date > end_date
+
+          start_date..end_date
+        end
+      end
+
+      def date_param(key)
+        Date.iso8601(params[key]) if params[key].present?
+      rescue Date::Error
+        raise InvalidParameter, "#{key} must be a date like 2026-01-31."
+      end
+
+      # One page of `scope` as { data:, meta: }, each record through `serializer`.
+      # The app-wide Pagy options suit the HTML lists; here the client may ask
+      # for up to MAX_PER_PAGE rows and any page, and pages past the last one
+      # come back empty so a client paging until it gets no rows stops.
+      def render_page(scope, &serializer)
+        per_page = params[:per_page].present? ? params[:per_page].to_i.clamp(1, MAX_PER_PAGE) : DEFAULT_PER_PAGE
+        pagy, records = pagy(scope, limit: per_page, client_max_limit: MAX_PER_PAGE, max_pages: nil,
+                                    raise_range_error: false)
+
+        render json: {
+          data: records.map(&serializer),
+          meta: {
+            start_date: period.first,
+            end_date: period.last,
+            page: pagy.page,
+            per_page: pagy.limit,
+            pages: pagy.pages,
+            count: pagy.count
+          }
+        }
+      end
+
+      # Attributes of a record loaded with a custom select, with sums as numbers
+      # rather than decimal strings. Grouped rows have no id to show.
+      def aggregate_row(record)
+        attributes = record.id.nil? ? record.attributes.except('id') : record.attributes
+        attributes.transform_values { |value| value.is_a?(BigDecimal) ? value.to_f : value }
+      end
+
+      def forbidden
+        render json: { error: 'This token is not allowed to read this data.' }, status: :forbidden
+      end
+
+      def bad_request(error)
+        render json: { error: error.message }, status: :bad_request
+      end
+    end
+  end
+end
@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Manday totals per month.
+    #
+    # GET /api/v1/mandays?start_date=2026-01-01&end_date=2026-06-30
+    #   { data: [{ work_month: "2026-01-01", worker_count: 35, total_days: 610 }], meta: { ... } }
+    class MandaysController < BaseController
+      def index
+        authorize Manday, policy_class: WorkOrders::MandayPolicy
+
+        scope = policy_scope(Manday, policy_scope_class: WorkOrders::MandayPolicy::Scope)
+                .where(work_month: period.first.beginning_of_month..period.last)
+                .left_joins(:mandays_workers).where(mandays_workers: { discarded_at: nil })
+                .group(:id).order(:work_month)
+                .select(:work_month,
+                        'COUNT(mandays_workers.id) AS worker_count',
+                        'COALESCE(SUM(mandays_workers.days), 0) AS total_days')
+
+        render_page(scope) { |row| aggregate_row(row) }
+      end
+    end
+  end
+end
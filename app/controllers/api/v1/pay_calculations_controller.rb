@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Monthly pay calculation totals.
+    #
+    # GET /api/v1/pay_calculations?start_date=2026-01-01&end_date=2026-06-30
+    #   { data: [{ month_year: "2026-01", worker_count: 35, total_gross_salary: 52000.0, total_deductions: 4100.0,
+    #              total_net_salary: 47900.0, total_employer_contributions: 5300.0 }],
+    #     meta: { ... } }
+    class PayCalculationsController < BaseController
+      def index
+        authorize PayCalculation, policy_class: WorkOrders::PayCalculationPolicy
+
+        month_format = PayCalculationServices::ProcessWorkOrderService::MONTH_YEAR_FORMAT
+        scope = policy_scope(PayCalculation, policy_scope_class: WorkOrders::PayCalculationPolicy::Scope)
+                .where(month_year: period.first.strftime(month_format)..period.last.strftime(month_format))
+                .left_joins(:pay_calculation_details).where(pay_calculation_details: { discarded_at: nil })
+                .group(:id).order(:month_year)
+                .select(:month_year, :total_gross_salary, :total_deductions, :total_net_salary,
+                        'COUNT(pay_calculation_details.id) AS worker_count',
+                        'COALESCE(SUM(pay_calculation_details.employer_deductions), 0) AS total_employer_contributions')
+
+        render_page(scope) { |row| aggregate_row(row) }
+      end
+    end
+  end
+end
@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Production totals per day, block or mill.
+    #
+    # GET /api/v1/production?group_by=block&start_date=2026-01-01&end_date=2026-01-31
+    #   { data: [{ block_id: 3, block_number: "A-001", tickets: 12, total_bunches: 840, total_weight_ton: 16.4 }],
+    #     meta: { ... } }
+    #
+    # group_by is date (default), block or mill; block_id / mill_id narrow it down.
+    class ProductionsController < BaseController
+      GROUPINGS = {
+        'date' => ->(scope) { scope.group(:date).order(:date).select(:date) },
+        'block' => lambda { |scope|
+          scope.joins(:block).group('blocks.id').order('blocks.block_number', 'blocks.id')
+               .select('blocks.id AS block_id', 'blocks.block_number')
+        },
+        'mill' => lambda { |scope|
+          scope.joins(:mill).group('mills.id').order('mills.name', 'mills.id')
+               .select('mills.id AS mill_id', 'mills.name AS mill_name')
+        }
+      }.freeze
+
+      TOTALS = [
+        'COUNT(productions.id) AS tickets',
+        'SUM(productions.total_bunches) AS total_bunches',
+        'SUM(productions.total_weight_ton) AS total_weight_ton'
+      ].freeze
+
+      def index
+        authorize Production
+        grouping = GROUPINGS.fetch(params[:group_by].presence || 'date') do
+          raise InvalidParameter, "group_by must be one of: #{GROUPINGS.keys.join(', ')}."
+        end
+
+        scope = policy_scope(Production).by_date_range(period.first, period.last)
+        scope = scope.by_block(params[:block_id]) if params[:block_id].present?
+        scope = scope.by_mill(params[:mill_id]) if params[:mill_id].present?
+
+        render_page(grouping.call(scope).select(*TOTALS)) { |row| aggregate_row(row) }
+      end
+    end
+  end
+end
@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Labour cost and resources used per work order, for the work orders the
+    # token's user can see (field conductors only get their own).
+    #
+    # GET /api/v1/work_order_costs?status=completed&start_date=2026-01-01
+    #   { data: [{ id: 42, work_order_status: "completed", start_date: "2026-01-03", completion_date: "2026-01-09",
+    #              block_number: "A-001", work_order_rate_name: "Harvesting", work_order_rate_type: "normal",
+    #              field_conductor_name: "Ali", worker_count: 4, labour_cost: 1250.0, resources_used: 0 }],
+    #     meta: { ... } }
+    #
+    # The period matches the start date, or the date of usage for resources work orders.
+    class WorkOrderCostsController < BaseController
+      COLUMNS = %i[
+        id work_order_status start_date completion_date date_of_usage block_number work_order_rate_name
+        work_order_rate_type field_conductor_name
+      ].freeze
+
+      def index
+        authorize WorkOrder, policy_class: WorkOrders::DetailPolicy
+
+        scope = policy_scope(WorkOrder, policy_scope_class: WorkOrders::DetailPolicy::Scope)
+                .where('COALESCE(work_orders.start_date, work_orders.date_of_usage) BETWEEN ? AND ?',
+                       period.first, period.last)
+        scope = scope.where(work_order_status: params[:status]) if params[:status].present?
+
+        render_page(scope.select(*COLUMNS, *cost_columns).order(:id)) { |row| aggregate_row(row) }
+      end
+
+      private
+
+      # Correlated subqueries, so workers and items don't multiply each other's rows
+      def cost_columns
+        workers = WorkOrderWorker.where('work_order_workers.work_order_id = work_orders.id')
+        items = WorkOrderItem.where('work_order_items.work_order_id = work_orders.id')
+
+        [
+          "(#{workers.select('COUNT(*)').to_sql}) AS worker_count",
+          "(#{workers.select('COALESCE(SUM(work_order_workers.amount), 0)').to_sql}) AS labour_cost",
+          "(#{items.select('COALESCE(SUM(work_order_items.amount_used), 0)').to_sql}) AS resources_used"
+        ]
+      end
+    end
+  end
+end
@@ -1,8 +1,22 @@
 # frozen_string_literal: true
 
+# Analytics dashboard. The page only lays out the charts; each one loads its
+# data from #chart and is drawn by analytics_chart_controller.js.
 class BiDashboardController < ApplicationController
-  # Add authorization if your app requires it, e.g. Pundit or custom checks
   def index
-    @powerbi_dashboard_url = ENV.fetch('LINK_BI_DASHBOARD', nil)
+    authorize :bi_dashboard, :index?
+
+    @months = AnalyticsServices::ChartDataService.new(nil, months: params[:months]).months
+  end
+
+  # GET /bi_dashboard/charts/production.json?months=12
+  def chart
+    authorize :bi_dashboard, :index?
+
+    result = AnalyticsServices::ChartDataService.new(params[:chart], months: params[:months]).call
+    result.either(
+      ->(data) { render json: data },
+      ->(error) { render json: { error: error }, status: :not_found }
+    )
   end
 end
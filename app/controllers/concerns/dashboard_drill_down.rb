@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+# DashboardDrillDown Concern
+# Work order lists opened from the dashboard counters
+# (DashboardHelper#dashboard_drill_down_links) can be filtered by a field
+# conductor or block they have no search field for. This loads what those
+# filters point at, so the work_orders/dashboard_filters partial can name them.
+#
+# Usage:
+#   class MyController < ApplicationController
+#     include DashboardDrillDown
+#
+#     def index
+#       load_dashboard_filters
+#       # view: render 'work_orders/dashboard_filters', f: f,
+#       #         conductor: @dashboard_conductor, block: @dashboard_block
+#     end
+#   end
+module DashboardDrillDown
+  extend ActiveSupport::Concern
+
+  private
+
+  def load_dashboard_filters
+    conductor_id = params.dig(:q, :field_conductor_id_eq).presence
+    block_id = params.dig(:q, :block_id_eq).presence
+
+    @dashboard_conductor = User.find_by(id: conductor_id) if conductor_id
+    @dashboard_block = Block.find_by(id: block_id) if block_id
+  end
+end
@@ -2,16 +2,21 @@
 
 # Dashboard controller for the main application dashboard
 class DashboardController < ApplicationController
+  # Ransack filters the dashboard offers; the counters pass them on to the
+  # work order lists they link to (DashboardHelper#dashboard_drill_down_links)
+  FILTERS = %w[start_date_gteq start_date_lteq field_conductor_id_eq block_id_eq].freeze
+
   def index
     authorize :dashboard, :index?
 
-    @pending_work_orders = WorkOrder.pending.count
-    @ongoing_work_orders = WorkOrder.ongoing.count
-    @completed_work_orders = WorkOrder.completed.count
-    @amendment_required_work_orders = WorkOrder.amendment_required.count
+    @filters = params.fetch(:q, {}).permit(*FILTERS).to_h
+    @q = WorkOrder.ransack(@filters)
+    @status_counts = @q.result.status_counts
     # Recent work orders
-    @recent_work_orders = WorkOrder.select(:id, :start_date, :block_id,
+    @recent_work_orders = @q.result.select(:id, :start_date, :block_id,
                                            :work_order_status).order(created_at: :desc).limit(10)
+    @field_conductors = User.where(id: WorkOrder.select(:field_conductor_id)).order(:name)
+    @blocks = Block.order(:block_number)
 
     # Optional: Add user-specific statistics if needed
     # @my_work_orders = current_user.work_orders if current_user.respond_to?(:work_orders)
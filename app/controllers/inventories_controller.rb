@@ -22,7 +22,8 @@ class InventoriesController < ApplicationController
 
   # GET /inventories/new
   def new
-    @inventory = Inventory.new
+    # name is prefilled by the searchable select's "+ Create" entry
+    @inventory = Inventory.new(name: params[:name])
     @inventory.inventory_orders.build # Initialize with one empty order row
     authorize @inventory
 
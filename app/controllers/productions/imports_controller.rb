@@ -0,0 +1,48 @@
+# frozen_string_literal: true
+
+module Productions
+  # Weighbridge ticket import. The page reads the CSV, maps its columns and
+  # previews the rows in the browser (production_import_controller.js); the
+  # accepted rows are posted back to #create and saved by
+  # ProductionServices::ImportService.
+  class ImportsController < ApplicationController
+    ROW_FIELDS = %i[line date block_number mill ticket_estate_no ticket_mill_no total_bunches total_weight_ton].freeze
+
+    before_action :authorize_import
+
+    def new
+      @block_numbers = Block.kept.order(:block_number).pluck(:block_number)
+      @mill_names = Mill.kept.ordered.pluck(:name)
+    end
+
+    # POST /productions/import/duplicates
+    #   { ticket_estate_nos: ['E-1'], ticket_mill_nos: ['M-1'] }
+    def duplicates
+      render json: ProductionServices::ImportService.existing_tickets(
+        ticket_estate_nos: Array(params[:ticket_estate_nos]).first(ProductionServices::ImportService::MAX_ROWS),
+        ticket_mill_nos: Array(params[:ticket_mill_nos]).first(ProductionServices::ImportService::MAX_ROWS)
+      )
+    end
+
+    # POST /productions/import
+    #   { rows: [{ line: 2, date: '2026-01-31', block_number: 'A-001', ... }] }
+    def create
+      result = ProductionServices::ImportService.new(row_params).call
+
+      result.either(
+        ->(summary) { render json: summary },
+        ->(error) { render json: { error: error }, status: :unprocessable_entity }
+      )
+    end
+
+    private
+
+    def authorize_import
+      authorize Production, :create?
+    end
+
+    def row_params
+      params.permit(rows: ROW_FIELDS).fetch(:rows, [])
+    end
+  end
+end
@@ -134,6 +134,12 @@ class ProductionsController < ApplicationController
     @mills = Mill.kept.ordered
   end
 
+  # Ids picked in the multi-select filters (q[mill_id_in][]), or a single
+  # q[mill_id_eq] from older links
+  def filter_ids(attribute)
+    (Array(params.dig(:q, :"#{attribute}_in")) + Array(params.dig(:q, :"#{attribute}_eq"))).compact_blank
+  end
+
   def production_params
     params.require(:production).permit(:date, :block_id, :ticket_estate_no, :ticket_mill_no, :mill_id, :total_bunches,
                                        :total_weight_ton)
@@ -169,8 +175,8 @@ class ProductionsController < ApplicationController
 
     # Pre-fetch filter data to avoid database queries in the view
     filter_data = {
-      mill: params.dig(:q, :mill_id_eq).present? ? Mill.find_by(id: params.dig(:q, :mill_id_eq)) : nil,
-      block: params.dig(:q, :block_id_eq).present? ? Block.find_by(id: params.dig(:q, :block_id_eq)) : nil
+      mills: Mill.where(id: filter_ids(:mill_id)).ordered.to_a,
+      blocks: Block.where(id: filter_ids(:block_id)).order(:block_number).to_a
     }
 
     # extra_locals are PASSED to PDF template for rendering
@@ -4,19 +4,39 @@ module WorkOrders
   class ApprovalsController < ApplicationController
     include RansackMultiSort
     include ResponseHandling
+    include DashboardDrillDown
 
     before_action :set_work_order, only: %i[show update approve request_amendment]
 
+    # Batch actions and the permission each one needs, e.g. 'approve' => :approve?
+    BATCH_POLICY_ACTIONS = WorkOrderServices::BatchApprovalService::ACTIONS
+                           .to_h { |action| [action.to_s, :"#{action}?"] }.freeze
+
+    helper_method :review_params
+
     def index
       authorize WorkOrder, policy_class: WorkOrders::ApprovalPolicy
 
-      # Exclude 'ongoing' work orders from approvals listing
-      base_scope = policy_scope(WorkOrder, policy_scope_class: WorkOrders::ApprovalPolicy::Scope)
-                   .where.not(work_order_status: WorkOrder::STATUSES[:ongoing])
-                   .order(id: :desc)
-
-      apply_ransack_search(base_scope)
+      apply_ransack_search(approvals_scope)
       @pagy, @work_orders = paginate_results(@q.result)
+      load_dashboard_filters
+      @status_counts = approval_status_counts
+    end
+
+    # Review queue: goes to the next (or previous) pending work order matching
+    # the index filters, after the one given in :after
+    def review
+      authorize WorkOrder, :index?, policy_class: WorkOrders::ApprovalPolicy
+
+      apply_ransack_search(approvals_scope)
+      queue = review_queue(current_id: params[:after])
+      target_id = params[:direction] == 'previous' ? queue[:previous_id] : queue[:next_id]
+
+      if target_id
+        redirect_to work_orders_approval_path(target_id, review_params)
+      else
+        redirect_to work_orders_approvals_path(q: review_params[:q]), notice: 'No more pending work orders to review.'
+      end
     end
 
     def show
@@ -24,6 +44,15 @@ module WorkOrders
 
       # Load the latest amendment history for display
       @amendment_history = @work_order.latest_amendment_history
+      # Row comments from that amendment, shown next to their rows
+      comments = @amendment_history ? @amendment_history.line_comments.includes(:commentable) : []
+      @line_comments = comments.group_by(&:commentable)
+      # What changed since the submission that was sent back, if it was resubmitted
+      @submission_diff = WorkOrderServices::SubmissionDiffService.new(@work_order).call.value_or(nil)
+      return unless params[:review]
+
+      apply_ransack_search(approvals_scope)
+      @review_queue = review_queue(current_id: @work_order.id)
     end
 
     def update
@@ -36,32 +65,98 @@ module WorkOrders
       authorize @work_order, policy_class: WorkOrders::ApprovalPolicy
 
       service = WorkOrderServices::ApproveService.new(@work_order, current_user)
-      result = service.call
-
-      # HTML (ERB form) -> redirect to index
-      # JSON (JavaScript) -> redirect to show (stay on current page)
-      handle_result(result,
-                    success_path: work_orders_approvals_path,
-                    json_success_path: work_orders_approval_path(@work_order),
-                    error_path: work_orders_approval_path(@work_order))
+      respond_to_transition(service.call)
     end
 
     def request_amendment
       authorize @work_order, policy_class: WorkOrders::ApprovalPolicy
 
       remarks = params.dig(:work_order_history, :remarks)
-      service = WorkOrderServices::RequestAmendmentService.new(@work_order, remarks)
-      result = service.call
+      service = WorkOrderServices::RequestAmendmentService.new(@work_order, remarks, line_comment_params)
+      respond_to_transition(service.call)
+    end
+
+    # Approves or requests amendment for the work orders ticked on the index,
+    # reporting the outcome per work order
+    def batch
+      policy_action = BATCH_POLICY_ACTIONS[params[:batch_action].to_s]
+      unless policy_action
+        return render json: { success: false, error: 'Unknown batch action.' }, status: :unprocessable_entity
+      end
+
+      authorize WorkOrder, policy_action, policy_class: WorkOrders::ApprovalPolicy
+
+      result = WorkOrderServices::BatchApprovalService.call(
+        policy_scope(WorkOrder, policy_scope_class: WorkOrders::ApprovalPolicy::Scope),
+        ids: params[:ids],
+        action: params[:batch_action],
+        current_user: current_user,
+        remarks: params[:remarks]
+      )
+
+      result.either(
+        ->(value) { render json: { success: true, **value } },
+        ->(error) { render json: { success: false, error: error }, status: :unprocessable_entity }
+      )
+    end
+
+    private
+
+    # Turbo Stream (approval modal) -> update the row, status badge, counters and flash in place
+    # HTML (ERB form) -> redirect to index
+    # JSON (JavaScript) -> redirect to show (stay on current page)
+    def respond_to_transition(result)
+      return render_transition_streams(result) if request.format.turbo_stream?
 
-      # HTML (ERB form) -> redirect to index
-      # JSON (JavaScript) -> redirect to show (stay on current page)
       handle_result(result,
                     success_path: work_orders_approvals_path,
                     json_success_path: work_orders_approval_path(@work_order),
                     error_path: work_orders_approval_path(@work_order))
     end
 
-    private
+    # Errors stay inside the modal so the reviewer can retry or cancel
+    def render_transition_streams(result)
+      result.either(
+        lambda { |message|
+          flash.now[:notice] = message
+          @status_counts = approval_status_counts
+          render :transition
+        },
+        lambda { |error|
+          render turbo_stream: turbo_stream.replace('approval_modal_error',
+                                                    partial: 'work_orders/approvals/approval_modal_error',
+                                                    locals: { message: error }),
+                 status: :unprocessable_entity
+        }
+      )
+    end
+
+    # Exclude 'ongoing' work orders from approvals listing
+    def approvals_scope
+      policy_scope(WorkOrder, policy_scope_class: WorkOrders::ApprovalPolicy::Scope)
+        .where.not(work_order_status: WorkOrder::STATUSES[:ongoing])
+        .order(id: :desc)
+    end
+
+    # Counters for the work orders this user may review, so neither the page
+    # nor its live updates give away counts outside the policy scope
+    def approval_status_counts
+      policy_scope(WorkOrder, policy_scope_class: WorkOrders::ApprovalPolicy::Scope).status_counts
+    end
+
+    # Position in the review queue, in the order the index is sorted by (q[s])
+    def review_queue(current_id:)
+      order = @q.sorts.select(&:valid?).filter_map do |sort|
+        [sort.attr, sort.dir] if sort.attr.is_a?(Arel::Attributes::Attribute)
+      end
+      WorkOrderServices::ReviewQueueService.new(@q.result, current_id: current_id, order: order).call.value!
+    end
+
+    # Keeps review mode and the index filters on review queue links
+    def review_params
+      query = params[:q].to_unsafe_h if params[:q].respond_to?(:to_unsafe_h)
+      { review: 1, q: query.presence }.compact
+    end
 
     def set_work_order
       @work_order = WorkOrder.find(params[:id])
@@ -70,5 +165,11 @@ module WorkOrders
     def approval_params
       params.require(:work_order).permit(:approved_by, :approved_at)
     end
+
+    # Row comments from the approval modal: [{ row_type:, row_id:, body: }]
+    def line_comment_params
+      params.fetch(:work_order_history, {}).permit(line_comments: %i[row_type row_id body])
+            .fetch(:line_comments, [])
+    end
   end
 end
@@ -5,10 +5,16 @@ module WorkOrders
     include RansackMultiSort
     include ResponseHandling
     include SoftDeletableController
+    include DashboardDrillDown
 
     # Specify the resource name since controller_name is 'details' not 'work_orders'
     self.soft_deletable_resource_name = :work_order
 
+    # Page size for the searchable-select remote option endpoints
+    OPTIONS_PER_PAGE = 20
+    # Upper bound for per_page, used by the bulk worker picker
+    MAX_OPTIONS_PER_PAGE = 200
+
     before_action :set_work_order, only: %i[show edit update destroy mark_complete confirm_delete]
 
     def index
@@ -17,6 +23,7 @@ module WorkOrders
       apply_ransack_search(policy_scope(WorkOrder,
                                         policy_scope_class: WorkOrders::DetailPolicy::Scope).order(id: :desc))
       @pagy, @work_orders = paginate_results(@q.result)
+      load_dashboard_filters
     end
 
     def show
@@ -38,8 +45,6 @@ module WorkOrders
     def new
       @work_order = WorkOrder.new
       authorize @work_order, policy_class: WorkOrders::DetailPolicy
-      @workers = Worker.active
-      @inventories = Inventory.includes(:category, :unit).all
       @vehicles = Vehicle.all
       @is_field_conductor = current_user.field_conductor?
     end
@@ -48,8 +53,6 @@ module WorkOrders
       service = WorkOrderServices::CreateService.new(work_order_params)
       @work_order = service.work_order
       authorize @work_order, policy_class: WorkOrders::DetailPolicy
-      @workers = Worker.active
-      @inventories = Inventory.includes(:category, :unit).all
       @vehicles = Vehicle.all
 
       draft = params[:draft].present?
@@ -64,16 +67,12 @@ module WorkOrders
 
     def edit
       authorize @work_order, policy_class: WorkOrders::DetailPolicy
-      @workers = Worker.active
-      @inventories = Inventory.includes(:category, :unit).all
       @vehicles = Vehicle.all
       @is_field_conductor = current_user.field_conductor?
     end
 
     def update
       authorize @work_order, policy_class: WorkOrders::DetailPolicy
-      @workers = Worker.active
-      @inventories = Inventory.includes(:category, :unit).all
       @vehicles = Vehicle.all
 
       service = WorkOrderServices::UpdateService.new(@work_order, work_order_params)
@@ -111,6 +110,62 @@ module WorkOrders
       )
     end
 
+    # GET /work_orders/details/worker_options?term=ahmad&page=2
+    # Remote data source for the worker searchable selects in the form.
+    # The bulk worker picker also passes worker_type, nationality,
+    # status (active/inactive/all, default active) and per_page; pasting
+    # into the workers table looks workers up by id.
+    def worker_options
+      authorize WorkOrder, :options?, policy_class: WorkOrders::DetailPolicy
+
+      workers = worker_options_scope.ransack(
+        id_eq: params[:id],
+        name_or_identity_number_cont: params[:term],
+        worker_type_eq: params[:worker_type],
+        nationality_eq: params[:nationality]
+      ).result.order(:name)
+
+      render_options(workers) do |page|
+        page.map do |worker|
+          {
+            value: worker.id,
+            text: worker.name,
+            data: {
+              identity_number: worker.identity_number,
+              nationality: Worker::NATIONALITY_LABELS[worker.nationality],
+              worker_type: worker.worker_type,
+              active: worker.is_active
+            }
+          }
+        end
+      end
+    end
+
+    # GET /work_orders/details/inventory_options?term=urea&page=1&work_order_id=5
+    # Remote data source for the resource searchable selects in the form.
+    # Stock on hand leaves out the usage of the work order being edited.
+    def inventory_options
+      authorize WorkOrder, :options?, policy_class: WorkOrders::DetailPolicy
+
+      inventories = Inventory.includes(:category, :unit)
+                             .ransack(name_or_category_name_cont: params[:term])
+                             .result.order(:name)
+      render_options(inventories) do |page|
+        stock = Inventory.stock_levels(page.map(&:id), excluding_work_order_id: params[:work_order_id])
+        page.map do |inventory|
+          {
+            value: inventory.id,
+            text: inventory.name,
+            data: {
+              category: inventory.category&.name,
+              unit: inventory.unit&.name,
+              stock: stock.fetch(inventory.id, 0)
+            }
+          }
+        end
+      end
+    end
+
     def confirm_delete
       authorize @work_order, policy_class: WorkOrders::DetailPolicy
 
@@ -122,12 +177,91 @@ module WorkOrders
       end
     end
 
+    # GET /work_orders/details/previous?block_id=1&work_order_rate_id=2&exclude_id=3
+    # Workers and resources of the latest completed work order for the block
+    # and rate, for the form's "Copy from previous work order" action
+    def previous
+      authorize WorkOrder, :options?, policy_class: WorkOrders::DetailPolicy
+
+      previous_order = policy_scope(WorkOrder, policy_scope_class: WorkOrders::DetailPolicy::Scope)
+                       .where.not(id: params[:exclude_id].presence)
+                       .latest_completed_for(block_id: params[:block_id],
+                                             work_order_rate_id: params[:work_order_rate_id])
+
+      if previous_order
+        render json: previous_work_order_json(previous_order)
+      else
+        render json: { error: 'No completed work order found for this block and rate.' }, status: :not_found
+      end
+    end
+
     private
 
     def set_work_order
       @work_order = WorkOrder.find(params[:id])
     end
 
+    def worker_options_scope
+      case params[:status]
+      when 'inactive' then Worker.inactive
+      when 'all' then Worker.all
+      else Worker.active
+      end
+    end
+
+    def previous_work_order_json(work_order)
+      {
+        id: work_order.id,
+        completion_date: work_order.completion_date,
+        workers: work_order.work_order_workers.kept.includes(:worker).order(:id).map do |wow|
+          previous_worker_json(wow)
+        end,
+        resources: previous_resources_json(work_order)
+      }
+    end
+
+    def previous_resources_json(work_order)
+      items = work_order.work_order_items.kept.where.not(inventory_id: nil).order(:id)
+      stock = Inventory.stock_levels(items.map(&:inventory_id), excluding_work_order_id: params[:exclude_id])
+
+      items.map do |item|
+        {
+          inventory_id: item.inventory_id,
+          item_name: item.item_name,
+          category: item.category_name,
+          unit: item.unit_name,
+          stock: stock.fetch(item.inventory_id, 0),
+          amount_used: item.amount_used
+        }
+      end
+    end
+
+    def previous_worker_json(work_order_worker)
+      worker = work_order_worker.worker
+      {
+        worker_id: work_order_worker.worker_id,
+        worker_name: worker&.name || work_order_worker.worker_name,
+        identity_number: worker&.identity_number,
+        nationality: Worker::NATIONALITY_LABELS[worker&.nationality],
+        work_area_size: work_order_worker.work_area_size,
+        work_days: work_order_worker.work_days,
+        rate: work_order_worker.rate,
+        rate_override_reason: work_order_worker.rate_override_reason
+      }
+    end
+
+    # Renders one page of records in the searchable-select remote format:
+    #   { results: [{ value:, text:, data: }], has_more: true|false, limit: 20 }
+    # per_page may go past the app-wide Pagy client_max_limit, up to
+    # MAX_OPTIONS_PER_PAGE.
+    # The block turns the page's records into the results.
+    def render_options(scope)
+      limit = params[:per_page].present? ? params[:per_page].to_i.clamp(1, MAX_OPTIONS_PER_PAGE) : OPTIONS_PER_PAGE
+      pagy, records = pagy(scope, limit: limit, client_max_limit: MAX_OPTIONS_PER_PAGE)
+
+      render json: { results: yield(records), has_more: pagy.next.present?, limit: pagy.limit }
+    end
+
     def work_order_params
       params.require(:work_order).permit(
         :block_id,
@@ -144,6 +278,7 @@ module WorkOrders
           work_area_size
           work_days
           rate
+          rate_override_reason
           amount
           remarks
           _destroy
@@ -153,7 +288,8 @@ module WorkOrders
           inventory_id
           amount_used
           _destroy
-        ]
+        ],
+        line_comments_attributes: %i[id resolved]
       )
     end
   end
@@ -33,7 +33,8 @@ class WorkersController < ApplicationController
   end
 
   def new
-    @worker = Worker.new
+    # name is prefilled by the searchable select's "+ Create" entry
+    @worker = Worker.new(name: params[:name])
     authorize @worker
 
     if turbo_frame_request?
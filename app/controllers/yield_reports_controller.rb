@@ -0,0 +1,69 @@
+# frozen_string_literal: true
+
+# Block yield report: tonnes per hectare and average bunch weight per block and
+# month, with under-performing blocks flagged and a breakdown per mill.
+# Readable by anyone who can see production records.
+class YieldReportsController < ApplicationController
+  include ExportHandling
+
+  # Months shown when no date range is chosen, this one included
+  DEFAULT_MONTHS = 6
+
+  def show
+    authorize Production, :index?
+
+    @mills = Mill.ordered
+    @mill = Mill.find_by(id: params.dig(:q, :mill_id_eq)) if params.dig(:q, :mill_id_eq).present?
+    result = ProductionServices::YieldReportService.new(production_scope, start_date: start_date,
+                                                                          end_date: end_date).call
+    return redirect_to(yield_report_path, alert: result.failure) if result.failure?
+
+    @report = result.value!
+    respond_to do |format|
+      format.html
+      format.csv { export_csv }
+      format.pdf { export_pdf }
+    end
+  end
+
+  private
+
+  def production_scope
+    scope = policy_scope(Production)
+    @mill ? scope.by_mill(@mill.id) : scope
+  end
+
+  def start_date
+    date_param(:date_gteq) || end_date.beginning_of_month.advance(months: 1 - DEFAULT_MONTHS)
+  end
+
+  def end_date
+    date_param(:date_lteq) || Date.current
+  end
+
+  def date_param(key)
+    value = params.dig(:q, key)
+    Date.parse(value) if value.present?
+  rescue Date::Error
+    nil
+  end
+
+  def export_csv
+    estate = @report[:estate].merge(block_number: 'Estate', vs_estate: 1.0, under_performing: false)
+
+    handle_csv_export(
+      ProductionServices::YieldExportCsvService,
+      @report[:blocks] + [estate],
+      error_path: yield_report_path
+    )
+  end
+
+  def export_pdf
+    handle_pdf_export(
+      ProductionServices::YieldExportPdfService,
+      @report[:blocks],
+      error_path: yield_report_path,
+      extra_locals: { report: @report, filter_data: { mill: @mill } }
+    )
+  end
+end
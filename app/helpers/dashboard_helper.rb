@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+module DashboardHelper
+  # The work order list behind each dashboard counter, filtered like the
+  # dashboard. Ongoing work orders aren't up for approval, so they open in the
+  # details list; the rest open in the approvals list.
+  #
+  # @param filters [Hash] the dashboard's Ransack filters (DashboardController::FILTERS)
+  # @return [Hash{Symbol => String}] status => URL
+  #
+  # Example:
+  #   dashboard_drill_down_links('field_conductor_id_eq' => '3')
+  #   # => { ongoing: "/work_orders/details?q[field_conductor_id_eq]=3&q[work_order_status_eq]=ongoing", ... }
+  def dashboard_drill_down_links(filters)
+    WorkOrder::STATUSES.to_h do |status, value|
+      query = filters.to_h.compact_blank.merge('work_order_status_eq' => value)
+      [status, status == :ongoing ? work_orders_details_path(q: query) : work_orders_approvals_path(q: query)]
+    end
+  end
+end
@@ -0,0 +1,22 @@
+# frozen_string_literal: true
+
+# Helpers for the searchable-select Stimulus controller
+module SearchableSelectHelper
+  # Turbo Stream that hands a newly created record back to the searchable select
+  # whose "+ Create" entry opened the modal. The select adds it as an option and
+  # selects it; without a waiting select the stream does nothing.
+  #
+  # Uses the same option shape as the remote option endpoints.
+  #
+  # @param value [Integer, String] option value (usually the record id)
+  # @param text [String] option label
+  # @param data [Hash] extra option data, copied to data-* attributes
+  # @return [ActiveSupport::SafeBuffer] <turbo-stream action="searchable_select_created">
+  #
+  # Example usage (in create.turbo_stream.erb):
+  #   <%= searchable_select_created_stream(value: @unit.id, text: @unit.name) %>
+  def searchable_select_created_stream(value:, text:, data: {})
+    turbo_stream_action_tag :searchable_select_created,
+                            option: { value: value, text: text, data: data }.to_json
+  end
+end
@@ -0,0 +1,111 @@
+# frozen_string_literal: true
+
+# Helpers for the work order form and its approval pages
+module WorkOrdersHelper
+  # Nested rows of the work order form and how they're labelled to the user
+  WORK_ORDER_ROW_ASSOCIATIONS = {
+    work_order_workers: 'Worker',
+    work_order_items: 'Resource'
+  }.freeze
+
+  # Validation errors of the worker and resource rows, keyed by the row index
+  # the form renders them with, for work-order-form to put back on the cells.
+  #
+  # @param work_order [WorkOrder] the work order that failed to save
+  # @return [Hash{String => Array<String>}]
+  #
+  # Example:
+  #   work_order_row_errors(@work_order)
+  #   # => { "work_order_workers[3].work_days" => ["must be greater than 0"] }
+  def work_order_row_errors(work_order)
+    each_work_order_row_error(work_order).each_with_object({}) do |(association, index, *, error), errors|
+      (errors["#{association}[#{index}].#{error.attribute}"] ||= []) << error.message
+    end
+  end
+
+  # Error messages for the form's error box. Row errors are named after the row
+  # ("Worker row 2 (Ali): Work days must be ...") instead of Rails' generic
+  # "Work order workers work days must be ...".
+  #
+  # @param work_order [WorkOrder]
+  # @return [Array<String>]
+  def work_order_error_messages(work_order)
+    prefixes = WORK_ORDER_ROW_ASSOCIATIONS.keys.map(&:to_s)
+    messages = work_order.errors.reject { |error| error.attribute.to_s.start_with?(*prefixes) }.map(&:full_message)
+
+    each_work_order_row_error(work_order).each do |association, _index, position, record, error|
+      name = work_order_row_name(record)
+      label = "#{WORK_ORDER_ROW_ASSOCIATIONS[association]} row #{position}#{" (#{name})" if name.present?}"
+      messages << "#{label}: #{error.full_message}"
+    end
+    messages
+  end
+
+  # The approver's row comments from the latest amendment request, for the
+  # work order form while the work order is waiting to be amended. A failed
+  # save keeps the ticks that were submitted.
+  #
+  # @param work_order [WorkOrder]
+  # @return [Array<Hash>]
+  #
+  # Example:
+  #   work_order_line_comments(@work_order)
+  #   # => [{ id: 4, row_type: "worker", row_id: 12, row_name: "Ali", body: "Rate looks too high", resolved: false }]
+  def work_order_line_comments(work_order)
+    history = work_order.amendment_required? && work_order.latest_amendment_history
+    return [] unless history
+
+    work_order.line_comments.select { |comment| comment.work_order_history_id == history.id }.map do |comment|
+      {
+        id: comment.id,
+        row_type: comment.row_type,
+        row_id: comment.commentable_id,
+        row_name: comment.row_name,
+        body: comment.body,
+        resolved: comment.resolved.nil? ? comment.resolved? : comment.resolved
+      }
+    end
+  end
+
+  # Table row class and badge text per WorkOrderServices::SubmissionDiffService row status
+  SUBMISSION_DIFF_STATUSES = {
+    added: %w[table-success Added],
+    removed: %w[table-danger Removed],
+    changed: %w[table-warning Changed]
+  }.freeze
+
+  # Formats an amount change with its sign, e.g. "+RM 12.50" / "-RM 3.00"
+  #
+  # @param delta [BigDecimal, Numeric]
+  # @return [String]
+  def submission_diff_delta(delta)
+    return '-' if delta.zero?
+
+    "#{delta.positive? ? '+' : '-'}#{number_to_currency(delta.abs, unit: 'RM ', precision: 2)}"
+  end
+
+  private
+
+  # Yields association, rendered row index, 1-based position among the rows
+  # still shown (as the form numbers them), record and error
+  def each_work_order_row_error(work_order)
+    return to_enum(:each_work_order_row_error, work_order) unless block_given?
+
+    WORK_ORDER_ROW_ASSOCIATIONS.each_key do |association|
+      position = 0
+      work_order.public_send(association).each_with_index do |record, index|
+        next if record.marked_for_destruction?
+
+        position += 1
+        record.errors.each { |error| yield association, index, position, record, error }
+      end
+    end
+  end
+
+  def work_order_row_name(record)
+    case record
+    when WorkOrderWorker then record.worker&.name || record.worker_name
+    when WorkOrderItem then record.inventory&.name || record.item_name
+    end
+  end
+end
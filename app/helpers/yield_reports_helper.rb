@@ -0,0 +1,32 @@
+# frozen_string_literal: true
+
+module YieldReportsHelper
+  # A small line of a block's tonnes per hectare month by month. Drawn here
+  # rather than in the browser so the PDF export shows it too.
+  #
+  # @param values [Array<Numeric, nil>] one per month; nil counts as 0
+  # @return [ActiveSupport::SafeBuffer, nil] nothing for fewer than two months
+  #
+  # Example:
+  #   yield_sparkline(block[:monthly].pluck(:tons_per_hectare))
+  def yield_sparkline(values, width: 120, height: 28, color: '#155e1a')
+    values = values.map(&:to_f)
+    return if values.size < 2
+
+    max = values.max.positive? ? values.max : 1
+    step = width.to_f / (values.size - 1)
+    points = values.each_with_index.map do |value, index|
+      "#{(index * step).round(1)},#{(height - 2 - ((value / max) * (height - 4))).round(1)}"
+    end
+
+    content_tag(:svg, viewBox: "0 0 #{width} #{height}", width: width, height: height,
+                      class: 'yield-sparkline', role: 'img', aria: { label: 'Tonnes per hectare by month' }) do
+      tag.polyline(points: points.join(' '), fill: 'none', stroke: color, 'stroke-width': 1.5)
+    end
+  end
+
+  # "74%" of the estate's tonnes per hectare, or "-" without a hectarage
+  def yield_vs_estate(ratio)
+    ratio ? number_to_percentage(ratio * 100, precision: 0) : '-'
+  end
+end
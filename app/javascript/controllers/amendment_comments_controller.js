@@ -0,0 +1,39 @@
+import { Controller } from "@hotwired/stimulus";
+
+// Connects to data-controller="amendment-comments"
+//
+// Comment boxes on the worker / resource rows of the approval page. The
+// approval modal reads them through its outlet and sends them along with the
+// amendment request:
+//   [{ row_type: "worker", row_id: "12", body: "Rate looks too high" }]
+export default class extends Controller {
+  static targets = ["toggle", "input"];
+
+  toggle(event) {
+    const input = event.currentTarget
+      .closest(".amendment-comment")
+      .querySelector("[data-amendment-comments-target='input']");
+
+    input.classList.toggle("d-none");
+    if (!input.classList.contains("d-none")) input.focus();
+  }
+
+  comments() {
+    return this.inputTargets
+      .filter((input) => input.value.trim())
+      .map((input) => ({
+        row_type: input.dataset.rowType,
+        row_id: input.dataset.rowId,
+        body: input.value.trim(),
+      }));
+  }
+
+  // The work order has left the approval queue: nothing left to comment on
+  submitted() {
+    this.inputTargets.forEach((input) => {
+      input.value = "";
+      input.classList.add("d-none");
+    });
+    this.toggleTargets.forEach((toggle) => toggle.classList.add("d-none"));
+  }
+}
@@ -0,0 +1,285 @@
+import { Controller } from "@hotwired/stimulus";
+
+/**
+ * AnalyticsChartController
+ *
+ * Fetches one chart from the analytics endpoint (BiDashboardController#chart)
+ * and draws it as SVG, without a charting library:
+ *   { type: "bar" | "line", unit, labels: ["Jan 2026", ...],
+ *     series: [{ name, values: [one per label] }] }
+ * Bars are stacked per month; lines get a point per month. Hovering a bar or
+ * a point shows its value.
+ */
+export default class extends Controller {
+  static targets = ["canvas", "legend"];
+  static values = { url: String };
+
+  static SVG_NS = "http://www.w3.org/2000/svg";
+  static WIDTH = 640;
+  static HEIGHT = 280;
+  static MARGIN = { top: 12, right: 12, bottom: 32, left: 56 };
+  static Y_TICKS = 4;
+  // Only every nth month is labelled past this many
+  static MAX_X_LABELS = 12;
+  static COLORS = [
+    "#155e1a",
+    "#f0ad4e",
+    "#0d6efd",
+    "#dc3545",
+    "#6f42c1",
+    "#20c997",
+    "#fd7e14",
+    "#6c757d",
+    "#0dcaf0",
+  ];
+
+  connect() {
+    this.numberFormat = new Intl.NumberFormat(undefined, {
+      maximumFractionDigits: 2,
+    });
+    this.axisFormat = new Intl.NumberFormat(undefined, {
+      notation: "compact",
+      maximumFractionDigits: 1,
+    });
+    this.load();
+  }
+
+  async load() {
+    try {
+      const response = await fetch(this.urlValue, {
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      this.render(await response.json());
+    } catch (error) {
+      console.error("Failed to load chart:", error);
+      this.showMessage("The chart could not be loaded.");
+    }
+  }
+
+  render(data) {
+    this.legendTarget.innerHTML = "";
+    if (!data.series.some(({ values }) => values.some((value) => value))) {
+      this.showMessage("No data for this period.");
+      return;
+    }
+
+    const max = this.niceMax(
+      data.type === "line" ? this.lineMax(data) : this.stackedMax(data),
+    );
+    const svg = this.svgElement("svg", {
+      viewBox: `0 0 ${this.constructor.WIDTH} ${this.constructor.HEIGHT}`,
+      role: "img",
+    });
+
+    this.drawAxes(svg, data.labels, max);
+    if (data.type === "line") {
+      this.drawLines(svg, data, max);
+    } else {
+      this.drawBars(svg, data, max);
+    }
+
+    this.canvasTarget.replaceChildren(svg);
+    this.renderLegend(data.series);
+  }
+
+  // === Scales ===
+
+  stackedMax({ labels, series }) {
+    return Math.max(
+      ...labels.map((_, index) =>
+        series.reduce((sum, { values }) => sum + Math.max(values[index], 0), 0),
+      ),
+    );
+  }
+
+  lineMax({ series }) {
+    return Math.max(...series.flatMap(({ values }) => values));
+  }
+
+  // Rounds up to 1, 2, 2.5 or 5 times a power of ten so the ticks are even
+  niceMax(value) {
+    if (value <= 0) return 1;
+
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find((factor) => value <= factor * magnitude);
+    return step * magnitude;
+  }
+
+  plotArea() {
+    const { WIDTH, HEIGHT, MARGIN } = this.constructor;
+    return {
+      left: MARGIN.left,
+      top: MARGIN.top,
+      width: WIDTH - MARGIN.left - MARGIN.right,
+      height: HEIGHT - MARGIN.top - MARGIN.bottom,
+    };
+  }
+
+  yFor(value, max) {
+    const { top, height } = this.plotArea();
+    return top + height - (value / max) * height;
+  }
+
+  bandWidth(labels) {
+    return this.plotArea().width / labels.length;
+  }
+
+  // === Drawing ===
+
+  drawAxes(svg, labels, max) {
+    const { left, top, width, height } = this.plotArea();
+    const { Y_TICKS, MAX_X_LABELS } = this.constructor;
+
+    for (let tick = 0; tick <= Y_TICKS; tick++) {
+      const value = (max / Y_TICKS) * tick;
+      const y = this.yFor(value, max);
+
+      svg.appendChild(
+        this.svgElement("line", {
+          x1: left,
+          x2: left + width,
+          y1: y,
+          y2: y,
+          class: tick === 0 ? "analytics-chart-axis" : "analytics-chart-grid",
+        }),
+      );
+      svg.appendChild(
+        this.svgText(this.axisFormat.format(value), {
+          x: left - 8,
+          y: y + 4,
+          "text-anchor": "end",
+        }),
+      );
+    }
+
+    const band = this.bandWidth(labels);
+    const every = Math.ceil(labels.length / MAX_X_LABELS);
+    labels.forEach((label, index) => {
+      if (index % every !== 0) return;
+
+      svg.appendChild(
+        this.svgText(this.shortMonth(label), {
+          x: left + band * index + band / 2,
+          y: top + height + 20,
+          "text-anchor": "middle",
+        }),
+      );
+    });
+  }
+
+  drawBars(svg, { labels, series, unit }, max) {
+    const band = this.bandWidth(labels);
+    const { left } = this.plotArea();
+
+    labels.forEach((label, index) => {
+      let stacked = 0;
+
+      series.forEach(({ name, values }, seriesIndex) => {
+        const value = values[index];
+        if (value <= 0) return;
+
+        const y = this.yFor(stacked + value, max);
+        const rect = this.svgElement("rect", {
+          x: left + band * index + band * 0.15,
+          y,
+          width: band * 0.7,
+          height: this.yFor(stacked, max) - y,
+          fill: this.color(seriesIndex),
+        });
+        rect.appendChild(this.tooltip(name, label, value, unit));
+        svg.appendChild(rect);
+        stacked += value;
+      });
+    });
+  }
+
+  drawLines(svg, { labels, series, unit }, max) {
+    const band = this.bandWidth(labels);
+    const { left } = this.plotArea();
+    const xFor = (index) => left + band * index + band / 2;
+
+    series.forEach(({ name, values }, seriesIndex) => {
+      const color = this.color(seriesIndex);
+      const path = values
+        .map((value, index) => `${index ? "L" : "M"}${xFor(index)},${this.yFor(value, max)}`)
+        .join(" ");
+
+      svg.appendChild(
+        this.svgElement("path", {
+          d: path,
+          fill: "none",
+          stroke: color,
+          "stroke-width": 2,
+        }),
+      );
+      values.forEach((value, index) => {
+        const point = this.svgElement("circle", {
+          cx: xFor(index),
+          cy: this.yFor(value, max),
+          r: 3.5,
+          fill: color,
+        });
+        point.appendChild(this.tooltip(name, labels[index], value, unit));
+        svg.appendChild(point);
+      });
+    });
+  }
+
+  renderLegend(series) {
+    series.forEach(({ name }, index) => {
+      const item = document.createElement("span");
+      item.className = "d-inline-flex align-items-center gap-1";
+
+      const swatch = document.createElement("span");
+      swatch.className = "analytics-chart-swatch";
+      swatch.style.backgroundColor = this.color(index);
+
+      item.append(swatch, document.createTextNode(name));
+      this.legendTarget.appendChild(item);
+    });
+  }
+
+  showMessage(message) {
+    const paragraph = document.createElement("p");
+    paragraph.className = "text-muted small mb-0";
+    paragraph.textContent = message;
+    this.canvasTarget.replaceChildren(paragraph);
+  }
+
+  // === Helpers ===
+
+  tooltip(name, label, value, unit) {
+    const title = this.svgElement("title");
+    title.textContent = `${name}, ${label}: ${this.numberFormat.format(value)} ${unit}`;
+    return title;
+  }
+
+  svgText(text, attributes) {
+    const element = this.svgElement("text", {
+      ...attributes,
+      class: "analytics-chart-label",
+    });
+    element.textContent = text;
+    return element;
+  }
+
+  svgElement(name, attributes = {}) {
+    const element = document.createElementNS(this.constructor.SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) =>
+      element.setAttribute(key, value),
+    );
+    return element;
+  }
+
+  color(index) {
+    const { COLORS } = this.constructor;
+    return COLORS[index % COLORS.length];
+  }
+
+  // "Jan 2026" -> "Jan '26"
+  shortMonth(label) {
+    return label.replace(/ \d{2}(\d{2})$/, " '$1");
+  }
+}
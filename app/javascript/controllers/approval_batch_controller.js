@@ -0,0 +1,239 @@
+import { Controller } from "@hotwired/stimulus";
+import { Turbo } from "@hotwired/turbo-rails";
+
+/**
+ * ApprovalBatchController
+ *
+ * Bulk approve / request amendment on the approvals index. Pending work orders
+ * get a checkbox; the chosen action is confirmed in a modal (amendments take
+ * one set of remarks shared by every order) and posted to the batch endpoint.
+ *
+ * The endpoint answers per work order, since the state machine can reject
+ * some of them:
+ *   { success: true, message, results: [{ id, success, message }] }
+ * The outcome is listed in the modal and the page reloads once it's closed.
+ */
+export default class extends Controller {
+  static targets = [
+    "checkbox",
+    "selectAll",
+    "selectedCount",
+    "actionButton",
+    "modal",
+    "title",
+    "remarksField",
+    "remarks",
+    "errorMessage",
+    "errorText",
+    "results",
+    "resultsSummary",
+    "resultsList",
+    "submitField",
+    "submitButton",
+  ];
+  static values = { url: String };
+
+  static ACTION_TYPES = {
+    AMENDMENT: "request_amendment",
+    APPROVE: "approve",
+  };
+
+  connect() {
+    this.actionType = null;
+    this.processed = false;
+    this.hiddenHandler = () => this.modalHidden();
+    this.modalTarget.addEventListener("hidden.bs.modal", this.hiddenHandler);
+    this.updateSelection();
+  }
+
+  disconnect() {
+    this.modalTarget.removeEventListener("hidden.bs.modal", this.hiddenHandler);
+  }
+
+  // Rows come and go with searching and paging
+  checkboxTargetConnected() {
+    this.updateSelection();
+  }
+
+  checkboxTargetDisconnected() {
+    this.updateSelection();
+  }
+
+  // === Selection ===
+
+  toggleAll() {
+    this.checkboxTargets.forEach((checkbox) => {
+      checkbox.checked = this.selectAllTarget.checked;
+    });
+    this.updateSelection();
+  }
+
+  updateSelection() {
+    const count = this.selectedIds().length;
+    const total = this.checkboxTargets.length;
+
+    if (this.hasSelectedCountTarget) {
+      this.selectedCountTarget.textContent = `${count} selected`;
+    }
+    this.actionButtonTargets.forEach((button) => {
+      button.disabled = count === 0;
+    });
+    if (this.hasSelectAllTarget) {
+      this.selectAllTarget.disabled = total === 0;
+      this.selectAllTarget.checked = total > 0 && count === total;
+      this.selectAllTarget.indeterminate = count > 0 && count < total;
+    }
+  }
+
+  selectedIds() {
+    return this.checkboxTargets
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+  }
+
+  // === Modal ===
+
+  selectApprove() {
+    this.open(this.constructor.ACTION_TYPES.APPROVE);
+  }
+
+  selectAmendment() {
+    this.open(this.constructor.ACTION_TYPES.AMENDMENT);
+  }
+
+  open(actionType) {
+    const count = this.selectedIds().length;
+    if (count === 0) return;
+
+    this.actionType = actionType;
+    const isAmendment = actionType === this.constructor.ACTION_TYPES.AMENDMENT;
+    const noun = count === 1 ? "work order" : "work orders";
+
+    this.titleTarget.textContent = isAmendment
+      ? `Request amendment for ${count} ${noun}?`
+      : `Approve ${count} ${noun}?`;
+    this.submitButtonTarget.innerHTML = isAmendment
+      ? '<i class="bi bi-check-circle me-1 text-white"></i> Submit'
+      : '<i class="bi bi-check-circle me-1 text-white"></i> Submit Approval';
+    this.remarksTarget.value = "";
+    this.toggleRemarks(isAmendment);
+    this.hideElement(this.resultsTarget);
+    this.showElement(this.submitFieldTarget);
+    this.submitButtonTarget.disabled = false;
+    this.hideError();
+
+    window.bootstrap.Modal.getOrCreateInstance(this.modalTarget).show();
+  }
+
+  toggleRemarks(visible) {
+    if (visible) {
+      this.showElement(this.remarksFieldTarget);
+    } else {
+      this.hideElement(this.remarksFieldTarget);
+    }
+  }
+
+  // Approved / amended orders leave the pending list
+  modalHidden() {
+    if (!this.processed) return;
+
+    this.processed = false;
+    Turbo.visit(window.location.href, { action: "replace" });
+  }
+
+  // === Request ===
+
+  async submit() {
+    const remarks = this.remarksTarget.value.trim();
+    if (this.actionType === this.constructor.ACTION_TYPES.AMENDMENT && !remarks) {
+      this.showError("Please provide remarks for the amendment request");
+      this.remarksTarget.classList.add("is-invalid");
+      return;
+    }
+
+    this.hideError();
+    this.submitButtonTarget.disabled = true;
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          "X-CSRF-Token": this.getCsrfToken(),
+        },
+        body: JSON.stringify({
+          batch_action: this.actionType,
+          ids: this.selectedIds(),
+          remarks,
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        this.showError(data.error || "An error occurred. Please try again.");
+        this.submitButtonTarget.disabled = false;
+        return;
+      }
+
+      this.processed = true;
+      this.showResults(data);
+    } catch (error) {
+      console.error("Batch request failed:", error);
+      this.showError("An error occurred. Please try again.");
+      this.submitButtonTarget.disabled = false;
+    }
+  }
+
+  showResults({ message, results }) {
+    this.hideElement(this.remarksFieldTarget);
+    this.hideElement(this.submitFieldTarget);
+    this.resultsSummaryTarget.textContent = message;
+    this.resultsListTarget.innerHTML = "";
+
+    results.forEach((result) => {
+      const item = document.createElement("li");
+      item.className = "list-group-item d-flex gap-2";
+
+      const icon = document.createElement("i");
+      icon.className = result.success
+        ? "bi bi-check-circle-fill text-success"
+        : "bi bi-x-circle-fill text-danger";
+
+      const text = document.createElement("span");
+      text.textContent = `#${result.id}: ${result.message}`;
+
+      item.append(icon, text);
+      this.resultsListTarget.appendChild(item);
+    });
+    this.showElement(this.resultsTarget);
+  }
+
+  // === Helpers ===
+
+  showElement(element) {
+    element.style.display = "block";
+  }
+
+  hideElement(element) {
+    element.style.display = "none";
+  }
+
+  showError(message) {
+    this.errorTextTarget.textContent = message;
+    this.showElement(this.errorMessageTarget);
+  }
+
+  hideError() {
+    this.hideElement(this.errorMessageTarget);
+    this.remarksTarget.classList.remove("is-invalid");
+  }
+
+  getCsrfToken() {
+    return (
+      document
+        .querySelector('meta[name="csrf-token"]')
+        ?.getAttribute("content") || ""
+    );
+  }
+}
@@ -1,7 +1,17 @@
 import { Controller } from "@hotwired/stimulus";
+import { Turbo } from "@hotwired/turbo-rails";
 
 // Connects to data-controller="approval-modal"
+//
+// Approve / request amendment for one work order. The server answers with
+// Turbo Streams that update the page in place (approval row, status badge,
+// counters, flash); failures are streamed into the modal instead.
+// On the approvals index the same modal serves every row: the button that opens
+// it carries the row's URLs in data-approve-url / data-amendment-url.
+// On the show page, comments left on individual rows (amendment-comments
+// outlet) go along with the amendment request.
 export default class extends Controller {
+  static outlets = ["amendment-comments"];
   static targets = [
     "remarksField",
     "submitField",
@@ -10,6 +20,8 @@ export default class extends Controller {
     "errorMessage",
     "errorText",
     "submitButton",
+    "serverError",
+    "commentSummary",
   ];
   static values = {
     workOrderId: String,
@@ -29,9 +41,19 @@ export default class extends Controller {
   }
 
   setupModalReset() {
+    this.element.addEventListener("show.bs.modal", (event) =>
+      this.useTrigger(event.relatedTarget),
+    );
     this.element.addEventListener("hidden.bs.modal", () => this.reset());
   }
 
+  useTrigger(trigger) {
+    if (!trigger?.dataset.approveUrl) return;
+
+    this.approveUrlValue = trigger.dataset.approveUrl;
+    this.amendmentUrlValue = trigger.dataset.amendmentUrl;
+  }
+
   reset() {
     this.actionType = null;
     this.hideElement(this.remarksFieldTarget);
@@ -39,6 +61,8 @@ export default class extends Controller {
     this.showElement(this.buttonGroupTarget);
     this.approvalRemarksTarget.value = "";
     this.hideError();
+    this.hideServerError();
+    this.setSubmitting(false);
   }
 
   selectAmendment(event) {
@@ -65,12 +89,14 @@ export default class extends Controller {
 
   // Private methods
 
+  // Also called without an event from the review queue shortcuts
   preventDefault(event) {
-    event.preventDefault();
-    event.stopPropagation();
+    event?.preventDefault();
+    event?.stopPropagation();
   }
 
   showRemarksFlow() {
+    this.updateCommentSummary();
     this.showElement(this.remarksFieldTarget);
     this.showElement(this.submitFieldTarget);
     this.hideElement(this.buttonGroupTarget);
@@ -103,16 +129,34 @@ export default class extends Controller {
 
   submitAmendment() {
     const remarks = this.getRemarksValue();
+    const lineComments = this.lineComments();
 
-    if (!this.validateRemarks(remarks)) {
+    if (!this.validateRemarks(remarks, lineComments)) {
       return;
     }
 
     this.sendRequest(this.amendmentUrlValue, {
-      work_order_history: { remarks },
+      work_order_history: { remarks, line_comments: lineComments },
     });
   }
 
+  lineComments() {
+    return this.hasAmendmentCommentsOutlet
+      ? this.amendmentCommentsOutlet.comments()
+      : [];
+  }
+
+  updateCommentSummary() {
+    if (!this.hasCommentSummaryTarget) return;
+
+    const count = this.lineComments().length;
+    this.commentSummaryTarget.textContent =
+      count === 1
+        ? "1 row comment will be sent with this request."
+        : `${count} row comments will be sent with this request.`;
+    this.commentSummaryTarget.classList.toggle("d-none", count === 0);
+  }
+
   submitApprove() {
     this.sendRequest(this.approveUrlValue);
   }
@@ -121,9 +165,12 @@ export default class extends Controller {
     return this.approvalRemarksTarget.value.trim();
   }
 
-  validateRemarks(remarks) {
-    if (!remarks) {
-      this.showInlineError("Please provide remarks for the amendment request");
+  // Row comments can stand in for the general remarks
+  validateRemarks(remarks, lineComments = []) {
+    if (!remarks && lineComments.length === 0) {
+      this.showInlineError(
+        "Please provide remarks or comment on a row for the amendment request",
+      );
       this.approvalRemarksTarget.classList.add("is-invalid");
       return false;
     }
@@ -135,9 +182,18 @@ export default class extends Controller {
   sendRequest(url, body = null) {
     const options = this.buildFetchOptions(body);
 
+    this.hideServerError();
+    this.setSubmitting(true);
     fetch(url, options)
       .then((response) => this.handleResponse(response))
-      .catch((error) => this.handleError(error));
+      .catch((error) => this.handleError(error))
+      .finally(() => this.setSubmitting(false));
+  }
+
+  setSubmitting(submitting) {
+    if (this.hasSubmitButtonTarget) {
+      this.submitButtonTarget.disabled = submitting;
+    }
   }
 
   buildFetchOptions(body) {
@@ -156,7 +212,7 @@ export default class extends Controller {
   getRequestHeaders() {
     return {
       "Content-Type": "application/json",
-      Accept: "application/json", // Request JSON response
+      Accept: "text/vnd.turbo-stream.html", // Request Turbo Stream response
       "X-CSRF-Token": this.getCsrfToken(),
     };
   }
@@ -170,27 +226,20 @@ export default class extends Controller {
   }
 
   async handleResponse(response) {
-    if (response.ok) {
-      const data = await response.json();
+    const contentType = response.headers.get("Content-Type") || "";
 
-      if (data.success && data.redirect_url) {
-        // Show success message if available
-        if (data.message) {
-          this.showSuccess(data.message);
+    if (contentType.includes("turbo-stream")) {
+      Turbo.renderStreamMessage(await response.text());
+      if (response.ok) {
+        if (this.hasAmendmentCommentsOutlet) {
+          this.amendmentCommentsOutlet.submitted();
         }
-        // Redirect to the URL provided by the server
-        window.location.href = data.redirect_url;
-      } else {
-        window.location.reload();
+        // The review queue moves on to the next work order
+        this.dispatch("decided", { detail: { actionType: this.actionType } });
+        window.bootstrap.Modal.getOrCreateInstance(this.element).hide();
       }
     } else {
-      // Handle error response
-      try {
-        const data = await response.json();
-        this.showError(data.error || "An error occurred. Please try again.");
-      } catch {
-        this.showError("An error occurred. Please try again.");
-      }
+      this.showError("An error occurred. Please try again.");
     }
   }
 
@@ -199,11 +248,6 @@ export default class extends Controller {
     this.showError("An error occurred. Please try again.");
   }
 
-  showSuccess(message) {
-    // Success handled by redirect, no need for alert
-    console.log(message);
-  }
-
   showInlineError(message) {
     if (this.hasErrorMessageTarget && this.hasErrorTextTarget) {
       this.errorTextTarget.textContent = message;
@@ -218,7 +262,17 @@ export default class extends Controller {
     }
   }
 
+  // Same place the server streams its errors into
   showError(message) {
-    alert(message);
+    if (!this.hasServerErrorTarget) return;
+
+    this.serverErrorTarget.querySelector("span").textContent = message;
+    this.serverErrorTarget.classList.remove("d-none");
+  }
+
+  hideServerError() {
+    if (this.hasServerErrorTarget) {
+      this.serverErrorTarget.classList.add("d-none");
+    }
   }
 }
@@ -22,6 +22,11 @@ import flatpickr from "flatpickr";
  *   <%= f.hidden_field :hired_date_gteq %>
  *   <%= f.hidden_field :hired_date_lteq %>
  *
+ * @example Range presets (buttons inside the controller element)
+ *   <button type="button"
+ *           data-action="flatpickr#applyPreset"
+ *           data-flatpickr-preset-param="last_30_days">Last 30 days</button>
+ *
  * @example With time picker
  *   <input type="text"
  *          data-controller="flatpickr"
@@ -89,6 +94,47 @@ export default class extends Controller {
     if (this.picker) this.picker.open();
   }
 
+  /**
+   * Select a preset range (see presetRange) and submit like a picked range
+   * @param {Object} event - Stimulus action event with params.preset
+   */
+  applyPreset({ params: { preset } }) {
+    const range = this.presetRange(preset);
+    if (!range || !this.picker) return;
+
+    this.picker.setDate(range, false);
+    this.handleRangeClose(range);
+  }
+
+  /**
+   * Start and end date of a named preset, counted from today
+   * @private
+   * @param {string} preset - this_month, last_month, last_30_days, last_90_days or this_year
+   * @returns {Array<Date>|null} [start, end], or null for an unknown preset
+   */
+  presetRange(preset) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const daysAgo = (days) => new Date(year, month, today.getDate() - days);
+
+    switch (preset) {
+      case "this_month":
+        return [new Date(year, month, 1), today];
+      case "last_month":
+        return [new Date(year, month - 1, 1), new Date(year, month, 0)];
+      case "last_30_days":
+        return [daysAgo(29), today];
+      case "last_90_days":
+        return [daysAgo(89), today];
+      case "this_year":
+        return [new Date(year, 0, 1), today];
+      default:
+        return null;
+    }
+  }
+
   /**
    * Handle date range selection completion
    * @private
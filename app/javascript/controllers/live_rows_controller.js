@@ -0,0 +1,48 @@
+import { Controller } from "@hotwired/stimulus";
+
+// Connects to data-controller="live-rows"
+//
+// Highlights the rows of a list that changed when the page was refreshed by a
+// broadcast (shared/_work_order_live_updates). Rows are compared by id while
+// Turbo morphs the page. Ticked checkboxes are left alone so a selection
+// survives the refresh.
+export default class extends Controller {
+  static HIGHLIGHT_CLASS = "live-row-updated";
+
+  connect() {
+    this.changedRowIds = new Set();
+  }
+
+  beforeMorph(event) {
+    const element = event.target;
+
+    if (element.matches('input[type="checkbox"]') && element.checked) {
+      event.preventDefault();
+      return;
+    }
+    if (
+      element.parentElement === this.element &&
+      element.id &&
+      !element.isEqualNode(event.detail.newElement)
+    ) {
+      this.changedRowIds.add(element.id);
+    }
+  }
+
+  highlight() {
+    const highlightClass = this.constructor.HIGHLIGHT_CLASS;
+
+    this.changedRowIds.forEach((id) => {
+      const row = document.getElementById(id);
+      if (!row) return;
+
+      row.classList.add(highlightClass);
+      row.addEventListener(
+        "animationend",
+        () => row.classList.remove(highlightClass),
+        { once: true },
+      );
+    });
+    this.changedRowIds.clear();
+  }
+}
@@ -0,0 +1,463 @@
+import { Controller } from "@hotwired/stimulus";
+import { parseCSV } from "lib/csv_parser";
+
+/**
+ * ProductionImportController
+ *
+ * Weighbridge ticket import (Productions::ImportsController):
+ *   1. Read the chosen CSV file and guess which column holds each field from
+ *      its header; every guess can be changed.
+ *   2. Preview: check each row for blank or malformed values, unknown blocks
+ *      and mills, and duplicate tickets, both within the file and already
+ *      recorded (asked from the duplicates endpoint).
+ *   3. Post the accepted rows. The server checks them again and saves them in
+ *      one transaction, answering { imported, rejected: [{ line, errors }] }.
+ * The rejected rows, from the preview or the server, can be downloaded as a
+ * CSV error report.
+ *
+ * A ticket is a duplicate when its estate ticket number is already used, or
+ * its mill ticket number is already used for the same mill
+ * (ProductionServices::ImportService).
+ */
+export default class extends Controller {
+  static targets = [
+    "file",
+    "mapping",
+    "mappingFields",
+    "preview",
+    "previewRows",
+    "summary",
+    "importButton",
+    "errorReportButton",
+    "result",
+    "resultText",
+    "error",
+  ];
+  static values = {
+    blocks: Array,
+    mills: Array,
+    createUrl: String,
+    duplicatesUrl: String,
+    maxRows: Number,
+  };
+
+  // Header names each field is recognised by, compared lowercased with
+  // punctuation removed ("Total Weight (Ton)" -> "total weight ton")
+  static FIELDS = [
+    { key: "date", label: "Date", aliases: ["date", "ticket date", "weighing date", "tarikh"] },
+    { key: "block_number", label: "Block No.", aliases: ["block no", "block number", "block", "blok"] },
+    { key: "mill", label: "Mill", aliases: ["mill", "mill name", "kilang"] },
+    {
+      key: "ticket_estate_no",
+      label: "Ticket Estate No.",
+      aliases: ["ticket estate no", "estate ticket no", "estate ticket"],
+    },
+    {
+      key: "ticket_mill_no",
+      label: "Ticket Mill No.",
+      aliases: ["ticket mill no", "mill ticket no", "mill ticket"],
+    },
+    { key: "total_bunches", label: "Total Bunches", aliases: ["total bunches", "bunches", "tandan"] },
+    {
+      key: "total_weight_ton",
+      label: "Total Weight (Ton)",
+      aliases: ["total weight ton", "total weight", "net weight", "weight", "tonnage"],
+    },
+  ];
+
+  connect() {
+    this.reset();
+  }
+
+  // === Step 1: file and column mapping ===
+
+  async load() {
+    this.reset();
+    const file = this.fileTarget.files[0];
+    if (!file) return;
+
+    const [header = [], ...records] = parseCSV(await file.text());
+    if (records.length === 0) {
+      this.showError("The file has no rows below its header row.");
+      return;
+    }
+    if (records.length > this.maxRowsValue) {
+      this.showError(`Please import at most ${this.maxRowsValue} rows at a time.`);
+      return;
+    }
+
+    this.header = header;
+    this.records = records;
+    this.renderMapping(this.guessMapping(header));
+  }
+
+  guessMapping(header) {
+    const headers = header.map((name) => this.headerName(name));
+    const mapping = {};
+    const taken = new Set();
+    const assign = (matches) => {
+      this.constructor.FIELDS.forEach(({ key, aliases }) => {
+        if (mapping[key] !== undefined) return;
+
+        const index = headers.findIndex(
+          (name, column) => !taken.has(column) && aliases.some((alias) => matches(name, alias)),
+        );
+        if (index === -1) return;
+        mapping[key] = index;
+        taken.add(index);
+      });
+    };
+
+    // Exact names first, so "Mill" isn't taken by "Ticket Mill No."
+    assign((name, alias) => name === alias);
+    assign((name, alias) => name.includes(alias));
+    return mapping;
+  }
+
+  renderMapping(mapping) {
+    this.mappingFieldsTarget.replaceChildren(
+      ...this.constructor.FIELDS.map(({ key, label }) => {
+        const column = document.createElement("div");
+        column.className = "col-md-3";
+
+        const id = `production_import_${key}`;
+        const labelElement = document.createElement("label");
+        labelElement.className = "form-label small text-muted mb-1";
+        labelElement.htmlFor = id;
+        labelElement.textContent = label;
+
+        const select = document.createElement("select");
+        select.id = id;
+        select.className = "form-select form-select-sm";
+        select.dataset.field = key;
+        select.dataset.action = "change->production-import#mappingChanged";
+        select.add(new Option("Choose a column", ""));
+        this.header.forEach((name, index) => {
+          select.add(new Option(`${this.columnName(index)}: ${name || "(no header)"}`, index));
+        });
+        select.value = mapping[key] ?? "";
+
+        column.append(labelElement, select);
+        return column;
+      }),
+    );
+    this.mappingTarget.classList.remove("d-none");
+  }
+
+  // The preview no longer matches the columns
+  mappingChanged() {
+    this.rows = [];
+    this.previewTarget.classList.add("d-none");
+  }
+
+  mapping() {
+    return Object.fromEntries(
+      [...this.mappingFieldsTarget.querySelectorAll("select[data-field]")]
+        .filter((select) => select.value !== "")
+        .map((select) => [select.dataset.field, Number(select.value)]),
+    );
+  }
+
+  // === Step 2: preview ===
+
+  async preview() {
+    const mapping = this.mapping();
+    const unmapped = this.constructor.FIELDS.filter(({ key }) => mapping[key] === undefined);
+    if (unmapped.length > 0) {
+      this.showError(`Choose a column for: ${unmapped.map(({ label }) => label).join(", ")}.`);
+      return;
+    }
+    this.hideError();
+
+    this.rows = this.records.map((record, index) => this.buildRow(record, index, mapping));
+    this.checkRows();
+
+    try {
+      await this.checkRecordedTickets();
+    } catch (error) {
+      console.error("Failed to check recorded tickets:", error);
+      this.showError("Tickets already recorded could not be checked. Please try again.");
+      return;
+    }
+    this.renderPreview();
+  }
+
+  buildRow(record, index, mapping) {
+    const values = Object.fromEntries(
+      this.constructor.FIELDS.map(({ key }) => [key, (record[mapping[key]] || "").trim()]),
+    );
+
+    // Line 1 is the header
+    return { line: index + 2, record, values, date: this.parseDate(values.date), errors: [], imported: false };
+  }
+
+  checkRows() {
+    const blocks = new Set(this.blocksValue.map((name) => this.normalizeName(name)));
+    const mills = new Set(this.millsValue.map((name) => this.normalizeName(name)));
+    const estateNos = new Set();
+    const millNos = new Set();
+
+    this.rows.forEach((row) => {
+      const { values, errors } = row;
+
+      this.constructor.FIELDS.forEach(({ key, label }) => {
+        if (!values[key]) errors.push(`${label} is blank`);
+      });
+      if (values.date && !row.date) errors.push(`Date "${values.date}" is not a valid date`);
+      if (values.block_number && !blocks.has(this.normalizeName(values.block_number))) {
+        errors.push(`Block "${values.block_number}" was not found`);
+      }
+      if (values.mill && !mills.has(this.normalizeName(values.mill))) {
+        errors.push(`Mill "${values.mill}" was not found`);
+      }
+      if (values.total_bunches && !/^\d+$/.test(values.total_bunches)) {
+        errors.push("Total Bunches must be a whole number");
+      }
+      if (values.total_weight_ton && !/^\d+(\.\d+)?$/.test(values.total_weight_ton)) {
+        errors.push("Total Weight (Ton) must be a number");
+      }
+
+      const millKey = this.ticketKey(values.mill, values.ticket_mill_no);
+      if (values.ticket_estate_no && estateNos.has(values.ticket_estate_no)) {
+        errors.push(`Ticket estate no. ${values.ticket_estate_no} is repeated in the file`);
+      }
+      if (values.ticket_mill_no && millNos.has(millKey)) {
+        errors.push(`Ticket mill no. ${values.ticket_mill_no} is repeated in the file`);
+      }
+      estateNos.add(values.ticket_estate_no);
+      millNos.add(millKey);
+    });
+  }
+
+  async checkRecordedTickets() {
+    const unique = (key) => [...new Set(this.rows.map(({ values }) => values[key]).filter(Boolean))];
+    const response = await fetch(this.duplicatesUrlValue, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "X-CSRF-Token": this.getCsrfToken(),
+      },
+      body: JSON.stringify({
+        ticket_estate_nos: unique("ticket_estate_no"),
+        ticket_mill_nos: unique("ticket_mill_no"),
+      }),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const recorded = await response.json();
+    const estateNos = new Set(recorded.ticket_estate_nos);
+    const millNos = new Set(recorded.ticket_mill_nos.map(([mill, number]) => this.ticketKey(mill, number)));
+
+    this.rows.forEach(({ values, errors }) => {
+      if (estateNos.has(values.ticket_estate_no)) {
+        errors.push(`Ticket estate no. ${values.ticket_estate_no} is already recorded`);
+      }
+      if (millNos.has(this.ticketKey(values.mill, values.ticket_mill_no))) {
+        errors.push(`Ticket mill no. ${values.ticket_mill_no} is already recorded for this mill`);
+      }
+    });
+  }
+
+  renderPreview() {
+    const accepted = this.acceptedRows().length;
+    const rejected = this.rejectedRows().length;
+    const imported = this.rows.filter((row) => row.imported).length;
+
+    this.summaryTarget.textContent = imported
+      ? `${imported} imported, ${rejected} rejected.`
+      : `${accepted} ready to import, ${rejected} rejected.`;
+    this.previewRowsTarget.replaceChildren(...this.rows.map((row) => this.previewRow(row)));
+
+    this.importButtonTarget.disabled = accepted === 0;
+    this.importButtonTarget.textContent = `Import ${accepted} ${accepted === 1 ? "row" : "rows"}`;
+    this.errorReportButtonTarget.classList.toggle("d-none", rejected === 0);
+    this.previewTarget.classList.remove("d-none");
+  }
+
+  previewRow(row) {
+    const tr = document.createElement("tr");
+    if (row.errors.length > 0) tr.className = "table-danger";
+
+    const status = document.createElement("i");
+    if (row.imported) {
+      status.className = "bi bi-check-circle-fill text-success";
+      status.title = "Imported";
+    } else if (row.errors.length > 0) {
+      status.className = "bi bi-x-circle-fill text-danger";
+      status.title = "Rejected";
+    } else {
+      status.className = "bi bi-circle text-success";
+      status.title = "Ready to import";
+    }
+
+    const cells = [
+      row.line,
+      status,
+      ...this.constructor.FIELDS.map(({ key }) => row.values[key]),
+      row.errors.join("; "),
+    ];
+    cells.forEach((content) => {
+      const td = document.createElement("td");
+      if (content instanceof Element) {
+        td.appendChild(content);
+      } else {
+        td.textContent = content;
+      }
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  // === Step 3: import ===
+
+  async submit() {
+    const rows = this.acceptedRows();
+    if (rows.length === 0) return;
+
+    this.importButtonTarget.disabled = true;
+    this.hideError();
+    try {
+      const response = await fetch(this.createUrlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          "X-CSRF-Token": this.getCsrfToken(),
+        },
+        body: JSON.stringify({ rows: rows.map((row) => this.rowData(row)) }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      const rejected = new Map(data.rejected.map(({ line, errors }) => [line, errors]));
+      rows.forEach((row) => {
+        if (rejected.has(row.line)) {
+          row.errors.push(...rejected.get(row.line));
+        } else {
+          row.imported = true;
+        }
+      });
+      this.showResult(data.imported);
+    } catch (error) {
+      console.error("Failed to import productions:", error);
+      this.showError(`Nothing was imported: ${error.message}`);
+    }
+    this.renderPreview();
+  }
+
+  rowData({ line, values, date }) {
+    return { ...values, line, date };
+  }
+
+  showResult(imported) {
+    const rejected = this.rejectedRows().length;
+    this.resultTextTarget.textContent =
+      `Imported ${imported} production ${imported === 1 ? "record" : "records"}.` +
+      (rejected ? ` ${rejected} rejected, see the error report.` : "");
+    this.resultTarget.classList.remove("d-none");
+  }
+
+  // === Error report ===
+
+  downloadErrorReport() {
+    const lines = [
+      ["Line", ...this.header, "Problems"],
+      ...this.rejectedRows().map((row) => [
+        row.line,
+        ...this.header.map((_, index) => row.record[index] || ""),
+        row.errors.join("; "),
+      ]),
+    ];
+    const csv = lines.map((cells) => cells.map((value) => this.csvCell(value)).join(",")).join("\r\n");
+    const url = URL.createObjectURL(new Blob(["\uFEFF", csv], { type: "text/csv" }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `production-import-errors-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // === Helpers ===
+
+  acceptedRows() {
+    return this.rows.filter((row) => row.errors.length === 0 && !row.imported);
+  }
+
+  rejectedRows() {
+    return this.rows.filter((row) => row.errors.length > 0);
+  }
+
+  reset() {
+    this.header = [];
+    this.records = [];
+    this.rows = [];
+    this.hideError();
+    [this.mappingTarget, this.previewTarget, this.resultTarget].forEach((element) =>
+      element.classList.add("d-none"),
+    );
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message;
+    this.errorTarget.classList.remove("d-none");
+  }
+
+  hideError() {
+    this.errorTarget.classList.add("d-none");
+  }
+
+  getCsrfToken() {
+    return document.querySelector('meta[name="csrf-token"]')?.getAttribute("content") || "";
+  }
+
+  headerName(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  normalizeName(text) {
+    return text.trim().toLowerCase();
+  }
+
+  // Mill tickets are numbered per mill
+  ticketKey(mill, number) {
+    return `${this.normalizeName(mill || "")}\n${number}`;
+  }
+
+  // "A", "B", ... "Z", "AA", like the spreadsheet the file came from
+  columnName(index) {
+    let name = "";
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+      name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // Day first, as the mills write them (31/01/2026, 31-01-2026, 31.01.2026), or
+  // ISO (2026-01-31). Answers the ISO date, or null when it isn't a real date.
+  parseDate(text) {
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let [year, month, day] = match ? match.slice(1) : [];
+    if (!match) {
+      match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+      if (!match) return null;
+      [day, month, year] = match.slice(1);
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Cells a spreadsheet would run as a formula get a leading apostrophe
+  csvCell(value) {
+    let text = String(value ?? "");
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
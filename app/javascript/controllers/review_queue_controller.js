@@ -0,0 +1,64 @@
+import { Controller } from "@hotwired/stimulus";
+import { Turbo } from "@hotwired/turbo-rails";
+
+// Connects to data-controller="review-queue"
+//
+// Review mode on the approval page. A approves and R requests amendment
+// through the approval modal, S skips to the next pending work order and P
+// goes back to the previous one. Once a decision goes through the next
+// pending work order opens; the server works out which one from the approvals
+// index filters (ApprovalsController#review).
+export default class extends Controller {
+  static outlets = ["approval-modal"];
+  static values = {
+    nextUrl: String,
+    previousUrl: String,
+    decidable: Boolean,
+  };
+
+  static SHORTCUTS = {
+    a: "approve",
+    r: "requestAmendment",
+    s: "next",
+    p: "previous",
+  };
+
+  handleShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+    if (event.target.closest?.("input, textarea, select, [contenteditable]")) {
+      return;
+    }
+    // Typing remarks, or a decision already on its way
+    if (document.querySelector(".modal.show")) return;
+
+    const action = this.constructor.SHORTCUTS[event.key?.toLowerCase()];
+    if (!action) return;
+
+    event.preventDefault();
+    this[action]();
+  }
+
+  approve() {
+    this.decide((modal) => modal.selectApprove());
+  }
+
+  requestAmendment() {
+    this.decide((modal) => modal.selectAmendment());
+  }
+
+  decide(select) {
+    if (!this.decidableValue || !this.hasApprovalModalOutlet) return;
+
+    const modal = this.approvalModalOutlet;
+    window.bootstrap.Modal.getOrCreateInstance(modal.element).show();
+    select(modal);
+  }
+
+  next() {
+    Turbo.visit(this.nextUrlValue);
+  }
+
+  previous() {
+    if (this.previousUrlValue) Turbo.visit(this.previousUrlValue);
+  }
+}
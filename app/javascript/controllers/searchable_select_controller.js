@@ -1,4 +1,20 @@
 import { Controller } from "@hotwired/stimulus";
+import { Turbo } from "@hotwired/turbo-rails";
+import { getMatcher, highlightMatches } from "lib/fuzzy_matcher";
+
+// The select whose "Create" entry opened the modal, waiting for the new record
+let pendingCreate = null;
+
+// <turbo-stream action="searchable_select_created" option='{"value":1,"text":"Ahmad"}'>
+// Rendered by create responses (see SearchableSelectHelper) to hand the new
+// record back to the select that asked for it.
+Turbo.StreamActions.searchable_select_created = function () {
+  if (!pendingCreate) return;
+
+  const controller = pendingCreate;
+  pendingCreate = null;
+  controller.addCreatedOption(JSON.parse(this.getAttribute("option") || "{}"));
+};
 
 /**
  * Searchable Select Controller
@@ -7,16 +23,68 @@ import { Controller } from "@hotwired/stimulus";
  * No external dependencies required.
  *
  * Features:
- * - Live search filtering
+ * - Live search with ranked fuzzy, accent-insensitive matching and highlighted hits
  * - Keyboard navigation
  * - Optional clear button
  * - Automatic detection of option additions/removals (via MutationObserver)
+ * - Optional remote data source with debounced search, paging and caching
+ * - Multi-select (<select multiple>) with removable chips, select all / clear all
+ * - <optgroup> headers and a secondary description line per option
+ * - Optional "+ Create '<query>'" entry backed by the shared Turbo-frame modal
  *
  * Usage:
  *   <select data-controller="searchable-select"
  *           data-searchable-select-placeholder-value="Select..."
  *           data-searchable-select-allow-clear-value="true">
  *
+ * Matching:
+ *   Options are matched with the shared matcher from lib/fuzzy_matcher.js
+ *   (word prefixes, spelling variants such as "Mohd"/"Muhammad", accents
+ *   ignored) and ordered by score within their group. Use
+ *   data-searchable-select-matcher-value="substring" for plain substring
+ *   matching, or the name of a matcher registered with registerMatcher().
+ *   Remote results keep the server's order and are only highlighted.
+ *
+ * Groups and descriptions:
+ *   <optgroup> labels are rendered as non-selectable headers. A description line
+ *   is shown under an option from its data-description attribute, or else from
+ *   the data-* keys listed in data-searchable-select-description-fields-value
+ *   (camelCase dataset names, e.g. '["identityNumber", "nationality"]').
+ *   Search matches the option text, its description and any extra keys listed
+ *   in data-searchable-select-search-fields-value.
+ *
+ * Inline create:
+ *   Set data-searchable-select-create-url-value to a `new` action rendering its
+ *   form in the "modal" Turbo frame (data-searchable-select-create-frame-value
+ *   to change it). The entry opens `<url>?name=<query>` in that frame (the
+ *   param is data-searchable-select-create-param-value). The page needs a
+ *   shared/modal container outside any other form, and the create response has
+ *   to include `searchable_select_created_stream` so the new record is added
+ *   to the select and chosen.
+ *
+ * Multi-select mode:
+ *   Used automatically when the select has the `multiple` attribute. Selected
+ *   options are shown as chips (at most data-searchable-select-max-chips-value,
+ *   the rest collapse into a "+N more" chip). Clicking an option or pressing
+ *   Enter toggles it and keeps the dropdown open; Backspace on the display
+ *   removes the last chip. "Select all" only acts on the options currently
+ *   matching the search.
+ *
+ * Remote mode:
+ *   Set data-searchable-select-url-value to a JSON endpoint. The controller calls
+ *   it with `?term=<query>&page=<n>` (the term param name can be changed with
+ *   data-searchable-select-search-param-value) and expects:
+ *
+ *     { "results": [{ "value": 1, "text": "Ahmad", "data": { "unit": "kg" } }],
+ *       "has_more": true }
+ *
+ *   Results may also carry `group` and `description`. Snake_case `data` keys
+ *   are camelCased so they line up with the dataset names used above.
+ *
+ *   The native select only needs the currently selected option. When a remote
+ *   result is picked it is written back as an <option> (with `data` copied to
+ *   data-* attributes), so form submission and change listeners keep working.
+ *
  * The controller automatically detects when options are added or removed in the
  * underlying select element. If you need to manually trigger a refresh, you can
  * call the `refresh()` method on the controller instance.
@@ -27,12 +95,27 @@ export default class extends Controller {
   static values = {
     placeholder: { type: String, default: "Select an option..." },
     allowClear: { type: Boolean, default: true },
+    url: String,
+    searchParam: { type: String, default: "term" },
+    maxChips: { type: Number, default: 3 },
+    descriptionFields: Array,
+    searchFields: Array,
+    matcher: { type: String, default: "fuzzy" },
+    createUrl: String,
+    createParam: { type: String, default: "name" },
+    createFrame: { type: String, default: "modal" },
   };
 
   // Debounce delay for batching rapid option changes (in milliseconds)
   // Can be increased (e.g., 50ms) if dealing with very frequent DOM updates
   static DEBOUNCE_DELAY = 10;
 
+  // Wait for the user to stop typing before querying the remote endpoint
+  static REMOTE_DEBOUNCE_DELAY = 300;
+
+  // Load the next remote page when scrolled within this many pixels of the bottom
+  static SCROLL_THRESHOLD = 40;
+
   connect() {
     this.initialize();
   }
@@ -45,8 +128,11 @@ export default class extends Controller {
     if (this.wrapper) return;
 
     this.element.style.display = "none";
-    this.options = this.buildOptions();
+    this.multiple = this.element.multiple;
+    this.matcher = getMatcher(this.matcherValue);
+    this.options = this.isRemote() ? [] : this.buildOptions();
     this.highlightedIndex = -1;
+    this.resetRemoteState();
 
     // Generate unique IDs for ARIA relationships
     this.uniqueId = `searchable-select-${Math.random()
@@ -73,6 +159,7 @@ export default class extends Controller {
   createDisplay() {
     this.display = document.createElement("div");
     this.display.className = "form-select searchable-select-display";
+    if (this.multiple) this.display.classList.add("searchable-select-multiple");
     this.display.tabIndex = 0;
 
     // ARIA attributes for combobox pattern
@@ -134,11 +221,44 @@ export default class extends Controller {
     this.optionsContainer.id = `${this.uniqueId}-listbox`;
     this.optionsContainer.setAttribute("role", "listbox");
     this.optionsContainer.setAttribute("aria-label", "Available options");
+    if (this.multiple) {
+      this.optionsContainer.setAttribute("aria-multiselectable", "true");
+    }
 
     this.dropdown.appendChild(this.searchInput);
+    if (this.multiple) this.dropdown.appendChild(this.createBulkActions());
     this.dropdown.appendChild(this.optionsContainer);
   }
 
+  createBulkActions() {
+    const actions = document.createElement("div");
+    actions.className = "searchable-select-actions";
+
+    const selectAll = this.createActionButton("Select all", () =>
+      this.selectAllVisible()
+    );
+    const clearAll = this.createActionButton("Clear all", () =>
+      this.clearSelection()
+    );
+
+    actions.appendChild(selectAll);
+    actions.appendChild(clearAll);
+    return actions;
+  }
+
+  createActionButton(label, handler) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "btn btn-link btn-sm searchable-select-action";
+    button.textContent = label;
+    button.addEventListener("click", (e) => {
+      e.stopPropagation();
+      handler();
+      this.searchInput.focus();
+    });
+    return button;
+  }
+
   assembleElements() {
     this.wrapper.appendChild(this.display);
     if (this.clearBtn) {
@@ -155,57 +275,200 @@ export default class extends Controller {
   // === Options ===
 
   buildOptions() {
-    return Array.from(this.element.options).map((opt) => ({
-      value: opt.value,
-      text: opt.text,
-    }));
+    return Array.from(this.element.options).map((opt) =>
+      this.decorateOption({
+        value: opt.value,
+        text: opt.text,
+        group:
+          opt.parentElement.tagName === "OPTGROUP"
+            ? opt.parentElement.label
+            : null,
+        description: opt.dataset.description,
+        data: { ...opt.dataset },
+      })
+    );
+  }
+
+  // Adds the description line and the text used for searching. The label comes
+  // first so match ranges below its length can be highlighted in it.
+  decorateOption(opt) {
+    const data = opt.data || {};
+    const description =
+      opt.description ||
+      this.descriptionFieldsValue
+        .map((key) => data[key])
+        .filter((value) => value !== undefined && value !== null && value !== "")
+        .join(" · ");
+    const searchExtras = this.searchFieldsValue.map((key) => data[key] ?? "");
+
+    return {
+      ...opt,
+      description,
+      searchText: [opt.text, description, ...searchExtras].join(" "),
+    };
   }
 
   renderOptions(filter = "") {
     this.optionsContainer.innerHTML = "";
-    const lowerFilter = filter.toLowerCase();
     let hasResults = false;
+    let currentGroup = null;
 
-    this.options.forEach((opt) => {
-      if (filter && opt.value === "") return;
-      if (lowerFilter && !opt.text.toLowerCase().includes(lowerFilter)) return;
+    const query = filter.trim();
 
+    this.rankOptions(query).forEach(({ opt, ranges }) => {
       hasResults = true;
-      const optionEl = document.createElement("div");
-      optionEl.className = "searchable-select-option";
-      optionEl.dataset.value = opt.value;
-      optionEl.textContent = opt.text;
-      optionEl.id = `${this.uniqueId}-option-${this.optionsContainer.children.length}`;
-      optionEl.setAttribute("role", "option");
-
-      const isSelected = this.element.value === opt.value && opt.value !== "";
-      if (isSelected) {
-        optionEl.classList.add("selected");
-        optionEl.setAttribute("aria-selected", "true");
-      } else {
-        optionEl.setAttribute("aria-selected", "false");
+      if (opt.group && opt.group !== currentGroup) {
+        this.optionsContainer.appendChild(this.createGroupElement(opt.group));
       }
-
-      optionEl.addEventListener("click", () => this.selectOption(opt.value));
-      optionEl.addEventListener("mouseenter", () => {
-        this.highlightOptionByElement(optionEl);
-      });
-      this.optionsContainer.appendChild(optionEl);
+      currentGroup = opt.group || null;
+      this.optionsContainer.appendChild(this.createOptionElement(opt, ranges));
     });
 
-    if (!hasResults && filter) {
-      const noResults = document.createElement("div");
-      noResults.className = "searchable-select-no-results";
-      noResults.textContent = `No results found for "${filter}"`;
-      noResults.setAttribute("role", "status");
-      noResults.setAttribute("aria-live", "polite");
-      this.optionsContainer.appendChild(noResults);
+    if (this.canCreate(query)) {
+      this.optionsContainer.appendChild(this.createCreateElement(query));
+    }
+
+    if (this.remoteLoading) {
+      this.optionsContainer.appendChild(
+        this.createStatusElement("searchable-select-loading", "Loading...")
+      );
+    } else if (this.remoteError) {
+      this.optionsContainer.appendChild(
+        this.createStatusElement(
+          "searchable-select-no-results",
+          "Could not load options. Please try again."
+        )
+      );
+    } else if (!hasResults && filter) {
+      this.optionsContainer.appendChild(
+        this.createStatusElement(
+          "searchable-select-no-results",
+          `No results found for "${filter}"`
+        )
+      );
     }
 
     this.highlightedIndex = -1;
     this.updateActiveDescendant();
   }
 
+  // Local options are filtered and sorted by score, keeping groups together.
+  // Remote results are already filtered by the server, so only highlight them.
+  rankOptions(query) {
+    if (!query) return this.options.map((opt) => ({ opt, ranges: [] }));
+
+    const groupOrder = new Map();
+    const ranked = [];
+
+    this.options.forEach((opt, index) => {
+      if (opt.value === "") return;
+      if (!groupOrder.has(opt.group)) groupOrder.set(opt.group, groupOrder.size);
+
+      const match = this.matcher.match(query, opt.searchText);
+      if (!match && !this.isRemote()) return;
+
+      ranked.push({
+        opt,
+        index,
+        score: match ? match.score : 0,
+        ranges: this.labelRanges(opt, match),
+      });
+    });
+
+    if (this.isRemote()) return ranked;
+
+    return ranked.sort(
+      (a, b) =>
+        groupOrder.get(a.opt.group) - groupOrder.get(b.opt.group) ||
+        b.score - a.score ||
+        a.index - b.index
+    );
+  }
+
+  // Keep only the hits that fall inside the option label
+  labelRanges(opt, match) {
+    if (!match) return [];
+
+    const labelLength = opt.text.length;
+    return match.ranges
+      .filter(([start]) => start < labelLength)
+      .map(([start, end]) => [start, Math.min(end, labelLength)]);
+  }
+
+  createOptionElement(opt, ranges = []) {
+    const optionEl = document.createElement("div");
+    optionEl.className = "searchable-select-option";
+    optionEl.dataset.value = opt.value;
+    if (opt.group) optionEl.classList.add("grouped");
+
+    const label = document.createElement("span");
+    label.className = "searchable-select-option-label";
+    label.appendChild(highlightMatches(opt.text, ranges));
+    optionEl.appendChild(label);
+
+    if (opt.description) {
+      const description = document.createElement("span");
+      description.className = "searchable-select-option-description";
+      description.textContent = opt.description;
+      optionEl.appendChild(description);
+    }
+
+    optionEl.id = `${this.uniqueId}-option-${this.optionsContainer.children.length}`;
+    optionEl.setAttribute("role", "option");
+
+    if (this.isOptionSelected(opt.value)) {
+      optionEl.classList.add("selected");
+      optionEl.setAttribute("aria-selected", "true");
+    } else {
+      optionEl.setAttribute("aria-selected", "false");
+    }
+
+    optionEl.addEventListener("click", () => this.selectOption(opt.value));
+    optionEl.addEventListener("mouseenter", () => {
+      this.highlightOptionByElement(optionEl);
+    });
+    return optionEl;
+  }
+
+  // The create entry is a Turbo frame link, so the usual modal flow handles it
+  createCreateElement(query) {
+    const link = document.createElement("a");
+    link.className = "searchable-select-option searchable-select-create";
+    link.id = `${this.uniqueId}-create`;
+    link.href = this.buildCreateUrl(query);
+    link.dataset.turboFrame = this.createFrameValue;
+    link.dataset.create = "";
+    link.setAttribute("role", "option");
+    link.setAttribute("aria-selected", "false");
+    link.textContent = `+ Create '${query}'`;
+
+    link.addEventListener("click", () => {
+      pendingCreate = this;
+      this.closeDropdown();
+    });
+    link.addEventListener("mouseenter", () => {
+      this.highlightOptionByElement(link);
+    });
+    return link;
+  }
+
+  createGroupElement(label) {
+    const groupEl = document.createElement("div");
+    groupEl.className = "searchable-select-group";
+    groupEl.textContent = label;
+    groupEl.setAttribute("role", "presentation");
+    return groupEl;
+  }
+
+  createStatusElement(className, message) {
+    const statusEl = document.createElement("div");
+    statusEl.className = className;
+    statusEl.textContent = message;
+    statusEl.setAttribute("role", "status");
+    statusEl.setAttribute("aria-live", "polite");
+    return statusEl;
+  }
+
   // === Events ===
 
   bindEvents() {
@@ -217,6 +480,12 @@ export default class extends Controller {
         this.toggleDropdown();
       } else if (e.key === "Escape") {
         this.closeDropdown();
+      } else if (
+        this.multiple &&
+        (e.key === "Backspace" || e.key === "Delete")
+      ) {
+        e.preventDefault();
+        this.removeLastSelected();
       } else if (e.key === "ArrowDown") {
         e.preventDefault();
         if (!this.isOpen()) {
@@ -235,11 +504,19 @@ export default class extends Controller {
     });
 
     this.searchInput.addEventListener("input", () => {
+      if (this.isRemote()) {
+        this.scheduleRemoteSearch(this.searchInput.value);
+        return;
+      }
       this.renderOptions(this.searchInput.value);
       // Reposition dropdown after filtering since height may change
       this.positionDropdown();
     });
 
+    this.optionsContainer.addEventListener("scroll", () =>
+      this.handleOptionsScroll()
+    );
+
     this.searchInput.addEventListener("click", (e) => e.stopPropagation());
 
     this.searchInput.addEventListener("keydown", (e) => {
@@ -301,6 +578,7 @@ export default class extends Controller {
     this.highlightedIndex = -1;
     this.updateActiveDescendant();
     this.searchInput.focus();
+    if (this.isRemote()) this.loadRemoteResults("");
   }
 
   closeDropdown() {
@@ -349,6 +627,15 @@ export default class extends Controller {
   // === Selection ===
 
   selectOption(value) {
+    if (this.multiple) {
+      this.toggleOption(value);
+      return;
+    }
+
+    if (this.isRemote() && value !== "") {
+      const remoteOption = this.options.find((opt) => opt.value === value);
+      if (remoteOption) this.ensureNativeOption(remoteOption);
+    }
     this.element.value = value;
     this.element.dispatchEvent(new Event("change", { bubbles: true }));
     this.updateDisplayText();
@@ -358,14 +645,26 @@ export default class extends Controller {
   }
 
   clearSelection() {
+    if (this.multiple) {
+      Array.from(this.element.options).forEach((option) => {
+        option.selected = false;
+      });
+      this.afterMultipleChange();
+      return;
+    }
+
     const blankOption = this.options.find((opt) => opt.value === "");
     this.selectOption(blankOption ? blankOption.value : "");
   }
 
   updateDisplayText() {
-    const selected = this.options.find(
-      (opt) => opt.value === this.element.value
-    );
+    if (this.multiple) {
+      this.renderChips();
+      return;
+    }
+
+    // Read from the native select so remote selections display correctly too
+    const selected = this.element.options[this.element.selectedIndex];
     if (selected && selected.value !== "") {
       this.display.textContent = selected.text;
       this.display.classList.remove("placeholder");
@@ -378,7 +677,132 @@ export default class extends Controller {
   updateClearButton() {
     if (!this.clearBtn) return;
     this.clearBtn.style.display =
-      this.element.value && this.element.value !== "" ? "block" : "none";
+      this.selectedValues().length > 0 ? "block" : "none";
+  }
+
+  isOptionSelected(value) {
+    if (value === "") return false;
+    return this.selectedValues().includes(value);
+  }
+
+  selectedValues() {
+    return Array.from(this.element.selectedOptions)
+      .map((option) => option.value)
+      .filter((value) => value !== "");
+  }
+
+  // === Multi-select ===
+
+  toggleOption(value) {
+    if (value === "") return;
+
+    if (this.isRemote()) {
+      const remoteOption = this.options.find((opt) => opt.value === value);
+      if (remoteOption) this.ensureNativeOption(remoteOption);
+    }
+
+    const option = this.findNativeOption(value);
+    if (!option) return;
+
+    option.selected = !option.selected;
+    this.afterMultipleChange();
+  }
+
+  selectAllVisible() {
+    this.getVisibleOptions().forEach((optionEl) => {
+      if (optionEl.dataset.create !== undefined) return;
+
+      const value = optionEl.dataset.value;
+      if (this.isRemote()) {
+        const remoteOption = this.options.find((opt) => opt.value === value);
+        if (remoteOption) this.ensureNativeOption(remoteOption);
+      }
+
+      const option = this.findNativeOption(value);
+      if (option) option.selected = true;
+    });
+    this.afterMultipleChange();
+  }
+
+  removeLastSelected() {
+    const values = this.selectedValues();
+    if (values.length === 0) return;
+
+    this.toggleOption(values[values.length - 1]);
+  }
+
+  findNativeOption(value) {
+    return Array.from(this.element.options).find(
+      (option) => option.value === value
+    );
+  }
+
+  // Unlike single mode the dropdown stays open, so keep the list where it was
+  afterMultipleChange() {
+    this.element.dispatchEvent(new Event("change", { bubbles: true }));
+    this.updateDisplayText();
+    this.updateClearButton();
+
+    const previousHighlight = this.highlightedIndex;
+    const previousScroll = this.optionsContainer.scrollTop;
+    this.renderOptions(this.searchInput.value);
+    this.optionsContainer.scrollTop = previousScroll;
+    if (previousHighlight >= 0) {
+      this.highlightedIndex = previousHighlight;
+      this.updateHighlight(this.getVisibleOptions());
+    }
+    if (this.isOpen()) this.positionDropdown();
+  }
+
+  renderChips() {
+    this.display.innerHTML = "";
+    const selected = Array.from(this.element.selectedOptions).filter(
+      (option) => option.value !== ""
+    );
+
+    if (selected.length === 0) {
+      this.display.textContent = this.placeholderValue;
+      this.display.classList.add("placeholder");
+      return;
+    }
+
+    this.display.classList.remove("placeholder");
+    selected
+      .slice(0, this.maxChipsValue)
+      .forEach((option) => this.display.appendChild(this.createChip(option)));
+
+    const hiddenCount = selected.length - this.maxChipsValue;
+    if (hiddenCount > 0) {
+      const more = document.createElement("span");
+      more.className = "searchable-select-chip searchable-select-chip-more";
+      more.textContent = `+${hiddenCount} more`;
+      more.title = selected
+        .slice(this.maxChipsValue)
+        .map((option) => option.text)
+        .join(", ");
+      this.display.appendChild(more);
+    }
+  }
+
+  createChip(option) {
+    const chip = document.createElement("span");
+    chip.className = "searchable-select-chip";
+    chip.appendChild(document.createTextNode(option.text));
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "searchable-select-chip-remove";
+    remove.tabIndex = -1;
+    remove.setAttribute("aria-label", `Remove ${option.text}`);
+    remove.innerHTML = "&times;";
+    remove.addEventListener("click", (e) => {
+      // Don't let the display's click handler toggle the dropdown
+      e.stopPropagation();
+      this.toggleOption(option.value);
+    });
+
+    chip.appendChild(remove);
+    return chip;
   }
 
   // === Keyboard Navigation ===
@@ -457,6 +881,10 @@ export default class extends Controller {
     const options = this.getVisibleOptions();
     if (this.highlightedIndex >= 0 && this.highlightedIndex < options.length) {
       const highlightedOption = options[this.highlightedIndex];
+      if (highlightedOption.dataset.create !== undefined) {
+        highlightedOption.click();
+        return;
+      }
       const value = highlightedOption.dataset.value;
       this.selectOption(value);
     }
@@ -465,12 +893,228 @@ export default class extends Controller {
   // === Public API ===
 
   refresh() {
-    this.options = this.buildOptions();
+    // In remote mode the native select only holds selected values, not the list
+    if (!this.isRemote()) this.options = this.buildOptions();
     this.renderOptions();
     this.updateDisplayText();
     this.updateClearButton();
   }
 
+  // === Inline Create ===
+
+  canCreate(query) {
+    if (!this.hasCreateUrlValue || this.createUrlValue === "" || !query) {
+      return false;
+    }
+    if (this.remoteLoading) return false;
+
+    // Don't offer to create something that is already in the list
+    const normalizedQuery = query.toLowerCase();
+    return !this.options.some(
+      (opt) => opt.text.trim().toLowerCase() === normalizedQuery
+    );
+  }
+
+  buildCreateUrl(query) {
+    const url = new URL(this.createUrlValue, window.location.origin);
+    url.searchParams.set(this.createParamValue, query);
+    return url.toString();
+  }
+
+  // Called by the searchable_select_created stream action
+  addCreatedOption(item) {
+    const [opt] = this.normalizeRemotePayload({ results: [item] }).results;
+    if (!opt || opt.value === "") return;
+
+    this.ensureNativeOption(opt);
+    if (this.isRemote()) {
+      // Cached pages predate the new record
+      this.remoteCache.clear();
+      this.options = this.options.concat(opt);
+    } else {
+      this.options = this.buildOptions();
+    }
+
+    if (this.multiple && this.isOptionSelected(opt.value)) return;
+    this.selectOption(opt.value);
+  }
+
+  // === Remote Data Source ===
+
+  isRemote() {
+    return this.hasUrlValue && this.urlValue !== "";
+  }
+
+  resetRemoteState() {
+    this.remoteCache = new Map();
+    this.remoteTerm = "";
+    this.remotePage = 0;
+    this.remoteHasMore = false;
+    this.remoteLoading = false;
+    this.remoteError = false;
+  }
+
+  scheduleRemoteSearch(term) {
+    if (this.remoteSearchTimeout) clearTimeout(this.remoteSearchTimeout);
+
+    this.remoteSearchTimeout = setTimeout(() => {
+      this.remoteSearchTimeout = null;
+      this.loadRemoteResults(term.trim());
+    }, this.constructor.REMOTE_DEBOUNCE_DELAY);
+  }
+
+  async loadRemoteResults(term, page = 1) {
+    // A newer search always wins over whatever is still in flight
+    this.abortRemoteRequest();
+    this.remoteTerm = term;
+    this.remoteError = false;
+
+    const cacheKey = JSON.stringify([term, page]);
+    if (this.remoteCache.has(cacheKey)) {
+      this.applyRemoteResults(this.remoteCache.get(cacheKey), page);
+      return;
+    }
+
+    const abortController = new AbortController();
+    this.remoteAbortController = abortController;
+    this.setRemoteLoading(true);
+
+    try {
+      const response = await fetch(this.buildRemoteUrl(term, page), {
+        headers: { Accept: "application/json" },
+        signal: abortController.signal,
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const payload = this.normalizeRemotePayload(await response.json());
+      this.remoteCache.set(cacheKey, payload);
+      this.remoteLoading = false;
+      this.applyRemoteResults(payload, page);
+    } catch (error) {
+      if (error.name === "AbortError") return;
+
+      console.error("Searchable select remote request failed:", error);
+      this.remoteError = true;
+      this.setRemoteLoading(false);
+    } finally {
+      if (this.remoteAbortController === abortController) {
+        this.remoteAbortController = null;
+      }
+    }
+  }
+
+  buildRemoteUrl(term, page) {
+    const url = new URL(this.urlValue, window.location.origin);
+    url.searchParams.set(this.searchParamValue, term);
+    url.searchParams.set("page", page);
+    return url.toString();
+  }
+
+  normalizeRemotePayload(payload) {
+    const results = Array.isArray(payload) ? payload : payload.results || [];
+
+    return {
+      results: results.map((item) =>
+        this.decorateOption({
+          value: String(item.value ?? item.id ?? ""),
+          text: String(item.text ?? item.name ?? ""),
+          group: item.group || null,
+          description: item.description,
+          data: this.camelizeKeys(item.data || {}),
+        })
+      ),
+      hasMore: Boolean(payload.has_more),
+    };
+  }
+
+  camelizeKeys(data) {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [
+        key.replace(/_([a-z])/g, (_, char) => char.toUpperCase()),
+        value,
+      ])
+    );
+  }
+
+  applyRemoteResults(payload, page) {
+    const previousHighlight = this.highlightedIndex;
+    const previousScroll = this.optionsContainer.scrollTop;
+
+    this.remotePage = page;
+    this.remoteHasMore = payload.hasMore;
+    this.options =
+      page === 1 ? payload.results : this.options.concat(payload.results);
+    this.renderOptions(this.remoteTerm);
+
+    // Keep the user's place when a further page is appended
+    if (page > 1) {
+      this.optionsContainer.scrollTop = previousScroll;
+      if (previousHighlight >= 0) {
+        this.highlightedIndex = previousHighlight;
+        this.updateHighlight(this.getVisibleOptions());
+      }
+    }
+    if (this.isOpen()) this.positionDropdown();
+  }
+
+  setRemoteLoading(loading) {
+    this.remoteLoading = loading;
+    this.optionsContainer
+      .querySelectorAll(
+        ".searchable-select-loading, .searchable-select-no-results"
+      )
+      .forEach((el) => el.remove());
+
+    if (loading) {
+      this.optionsContainer.appendChild(
+        this.createStatusElement("searchable-select-loading", "Loading...")
+      );
+    } else if (this.remoteError) {
+      this.optionsContainer.appendChild(
+        this.createStatusElement(
+          "searchable-select-no-results",
+          "Could not load options. Please try again."
+        )
+      );
+    }
+  }
+
+  handleOptionsScroll() {
+    if (!this.isRemote() || !this.remoteHasMore || this.remoteLoading) return;
+
+    const { scrollTop, scrollHeight, clientHeight } = this.optionsContainer;
+    if (
+      scrollHeight - scrollTop - clientHeight <=
+      this.constructor.SCROLL_THRESHOLD
+    ) {
+      this.loadRemoteResults(this.remoteTerm, this.remotePage + 1);
+    }
+  }
+
+  abortRemoteRequest() {
+    if (this.remoteAbortController) {
+      this.remoteAbortController.abort();
+      this.remoteAbortController = null;
+      this.remoteLoading = false;
+    }
+  }
+
+  // Write a remote result into the native select so it is submitted with the form
+  ensureNativeOption(opt) {
+    const exists = Array.from(this.element.options).some(
+      (option) => option.value === opt.value
+    );
+    if (exists) return;
+
+    const option = document.createElement("option");
+    option.value = opt.value;
+    option.textContent = opt.text;
+    Object.entries(opt.data || {}).forEach(([key, value]) => {
+      option.dataset[key] = value ?? "";
+    });
+    this.element.appendChild(option);
+  }
+
   // === MutationObserver ===
 
   hasMutatedOptions(mutations) {
@@ -519,6 +1163,12 @@ export default class extends Controller {
       clearTimeout(this.refreshTimeout);
       this.refreshTimeout = null;
     }
+    if (this.remoteSearchTimeout) {
+      clearTimeout(this.remoteSearchTimeout);
+      this.remoteSearchTimeout = null;
+    }
+    this.abortRemoteRequest();
+    if (pendingCreate === this) pendingCreate = null;
     if (this.selectObserver) {
       this.selectObserver.disconnect();
       this.selectObserver = null;
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus";
+import { getMatcher, normalizeText } from "lib/fuzzy_matcher";
+import { parseTSV } from "lib/tsv_parser";
 
 /**
  * WorkOrderFormController
@@ -6,9 +8,17 @@ import { Controller } from "@hotwired/stimulus";
  * Handles dynamic form interactions for work order creation/editing:
  * - Auto-fill work order rate and unit when work order is selected
  * - Add/remove resource rows dynamically
- * - Auto-fill resource details when inventory is selected
- * - Add/remove worker rows dynamically
+ * - Auto-fill resource details and stock on hand when inventory is selected
+ * - Add/remove worker rows dynamically, or many at once from the worker picker
  * - Auto-fill worker rate and calculate amount
+ * - Spreadsheet-style keyboard navigation and multi-row paste in the tables
+ * - Copy workers and resources from the previous work order for the block and rate
+ * - Autosave unsaved changes to localStorage and offer to restore them
+ * - Undo/redo of row and field changes (Ctrl+Z / Ctrl+Y); removed rows can be restored
+ * - Live totals and a validation summary that blocks submit
+ * - Server validation errors shown on the row and cell they belong to
+ * - Flag work days rates outside the tolerance and require a reason for them
+ * - Approver comments from an amendment request, to be ticked off before submit
  */
 export default class extends Controller {
   static targets = [
@@ -27,19 +37,55 @@ export default class extends Controller {
     "rateCell",
     "amountUsedHeader",
     "amountUsedCell",
+    "draftBanner",
+    "draftSavedAt",
+    "workerCountTotal",
+    "quantityTotal",
+    "workerAmountTotal",
+    "resourceCountTotal",
+    "resourceUsageTotal",
+    "validationSummary",
+    "validationList",
+    "copyPreviousButton",
+    "copyPreviousStatus",
+    "undoButton",
+    "redoButton",
+    "lineCommentsFallback",
   ];
+  static outlets = ["worker-picker"];
   static values = {
-    inventories: Array,
-    workers: Array,
     resourceIndexStart: Number,
     workerIndexStart: Number,
     currentRateType: String,
+    workerOptionsUrl: String,
+    inventoryOptionsUrl: String,
+    workerCreateUrl: String,
+    inventoryCreateUrl: String,
+    draftKey: String,
+    previousUrl: String,
+    rateTolerance: { type: Number, default: 10 },
+    savedRateId: String,
+    savedRatePrice: Number,
+    rowErrors: Object,
+    lineComments: Array,
   };
 
+  // Wait for a pause in typing before writing the draft
+  static DRAFT_SAVE_DELAY = 500;
+
+  // Drafts older than this are dropped instead of offered
+  static DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+  static DRAFT_VERSION = 1;
+
+  // Typing is recorded in the undo history once it pauses
+  static HISTORY_DELAY = 500;
+
+  // Oldest undo steps are dropped beyond this
+  static HISTORY_LIMIT = 100;
+
   connect() {
     // Initialize values first
-    this.inventories = this.inventoriesValue || [];
-    this.workers = this.workersValue || [];
     this.currentWorkOrderRate = 0;
     this.currentRateType = this.currentRateTypeValue || "normal";
 
@@ -67,12 +113,26 @@ export default class extends Controller {
       this.workerIndex = 0;
     }
 
+    // Read before the first validation pass, while fields hold the submitted values
+    this.initializeServerErrors();
+
     // Initialize current work order rate from the selected option on load (edit/new with preselected)
     this.initializeWorkOrderRateFromSelect();
     // Preserve per-worker saved rates on load; just refresh displays and amounts
     this.refreshAllWorkerDisplays();
     // Apply initial conditional display based on rate type
     this.updateConditionalSections();
+
+    this.initializeLineComments();
+    this.initializeDraft();
+    this.initializeHistory();
+  }
+
+  disconnect() {
+    clearTimeout(this.historyTimeout);
+    // Turbo navigation away from the form: keep whatever is still pending
+    this.flushDraftSave();
+    window.removeEventListener("pagehide", this.pageHideHandler);
   }
 
   initializeWorkOrderRateFromSelect() {
@@ -284,6 +344,9 @@ export default class extends Controller {
       quantityHeaders.forEach((header) => (header.textContent = "Quantity"));
       this.toggleWorkerQuantityFields(false); // false = show work_area_size
     }
+
+    // Totals and checks depend on which quantity field the mode uses
+    this.updateTotals();
   }
 
   toggleWorkerQuantityFields(showDays) {
@@ -343,10 +406,6 @@ export default class extends Controller {
   }
 
   addResource() {
-    if (!this.inventories || this.inventories.length === 0) {
-      alert("No inventories available. Please add inventory items first.");
-      return;
-    }
     const rowHTML = this.createResourceRow(this.resourceIndex);
     const temp = document.createElement("tbody");
     temp.innerHTML = rowHTML.trim();
@@ -355,26 +414,24 @@ export default class extends Controller {
       this.resourcesContainerTarget.appendChild(rowElement);
     }
     this.resourceIndex++;
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
   }
 
+  // The select starts empty and searches the inventory options on demand
   createResourceRow(index) {
-    const inventoryOptions = (this.inventories || [])
-      .map(
-        (inv) =>
-          `<option value="${inv.id}" data-category="${this.escapeHTML(
-            inv.category?.name || "",
-          )}" data-unit="${this.escapeHTML(
-            inv.unit?.name || "",
-          )}">${this.escapeHTML(inv.name)}</option>`,
-      )
-      .join("");
-
     return `
       <tr data-resource-index="${index}">
         <td>
-          <select class="form-select form-select-sm" name="work_order[work_order_items_attributes][${index}][inventory_id]" data-controller="searchable-select" data-searchable-select-placeholder-value="Select Resource" data-searchable-select-allow-clear-value="true" data-action="change->work-order-form#updateResourceDetails" data-resource-index="${index}">
+          <select class="form-select form-select-sm" name="work_order[work_order_items_attributes][${index}][inventory_id]" data-controller="searchable-select"${this.searchableSelectAttribute(
+            "url",
+            this.inventoryOptionsUrlValue,
+          )}${this.searchableSelectAttribute(
+            "create-url",
+            this.inventoryCreateUrlValue,
+          )} data-searchable-select-description-fields-value='["category","unit"]' data-searchable-select-placeholder-value="Select Resource" data-searchable-select-allow-clear-value="true" data-action="change->work-order-form#updateResourceDetails" data-resource-index="${index}">
             <option value="">Select Resource</option>
-            ${inventoryOptions}
           </select>
         </td>
         <td>
@@ -385,19 +442,24 @@ export default class extends Controller {
         </td>
         <td data-work-order-form-target="amountUsedCell">
           <input type="number" class="form-control form-control-sm" name="work_order[work_order_items_attributes][${index}][amount_used]" placeholder="0" step="0.01" min="0">
+          <div class="form-text" id="resource_stock_${index}"></div>
         </td>
         <input type="hidden" id="resource_destroy_${index}" name="work_order[work_order_items_attributes][${index}][_destroy]" value="0">
         <td class="text-center">
-          <button type="button" class="btn btn-danger btn-sm" data-action="click->work-order-form#removeResource" data-resource-index="${index}">
+          <button type="button" class="btn btn-danger btn-sm work-order-row-remove" data-action="click->work-order-form#removeResource" data-resource-index="${index}">
             <i class="bi bi-trash text-white"></i>
           </button>
+          <button type="button" class="btn btn-link btn-sm p-0 work-order-row-restore" data-action="click->work-order-form#restoreRow">Restore</button>
         </td>
       </tr>
     `;
   }
 
   updateResourceDetails(event) {
-    const select = event.currentTarget;
+    this.fillResourceDetails(event.currentTarget);
+  }
+
+  fillResourceDetails(select) {
     const index = select.dataset.resourceIndex;
 
     if (!select || !select.options || select.selectedIndex < 0) return;
@@ -417,42 +479,79 @@ export default class extends Controller {
   }
 
   addWorker() {
-    if (!this.workers || this.workers.length === 0) {
-      alert("No workers available. Please add worker records first.");
-      return;
-    }
-    const row = this.createWorkerRow(this.workerIndex);
-    this.workersContainerTarget.insertAdjacentHTML("beforeend", row);
-    this.workerIndex++;
-  }
-
-  // Helper function to build worker options safely using DOM APIs
-  buildWorkerOptions() {
-    const select = document.createElement("select");
-    // Add default option
-    const defaultOption = document.createElement("option");
-    defaultOption.value = "";
-    defaultOption.textContent = "Select Worker";
-    select.appendChild(defaultOption);
-    // Add worker options
-    (this.workers || []).forEach((worker) => {
-      const option = document.createElement("option");
-      option.value = worker.id;
-      option.textContent = worker.name;
-      select.appendChild(option);
+    this.appendWorkerRow();
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
+  }
+
+  // Appends a blank worker row and returns it
+  appendWorkerRow() {
+    const index = this.workerIndex++;
+    this.workersContainerTarget.insertAdjacentHTML(
+      "beforeend",
+      this.createWorkerRow(index).trim(),
+    );
+    return this.workersContainerTarget.lastElementChild;
+  }
+
+  openWorkerPicker() {
+    if (!this.hasWorkerPickerOutlet) return;
+    this.workerPickerOutlet.open(this.selectedWorkerIds());
+  }
+
+  // worker-picker:add — appends a row per picked worker, skipping any that are
+  // already in the table
+  addWorkers(event) {
+    const existing = new Set(this.selectedWorkerIds());
+
+    event.detail.workers.forEach((worker) => {
+      if (existing.has(worker.value)) return;
+      existing.add(worker.value);
+
+      const row = this.appendWorkerRow();
+      const select = row.querySelector("select");
+      this.ensureSelectOption(select, worker.value, worker);
+      select.value = worker.value;
+      this.calculateWorkerAmountByIndex(row.dataset.workerIndex);
     });
-    return select.innerHTML;
+
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
   }
 
+  selectedWorkerIds() {
+    if (!this.hasWorkersContainerTarget) return [];
+
+    return this.activeRows(this.workersContainerTarget)
+      .map((row) => row.querySelector("select")?.value)
+      .filter(Boolean);
+  }
+
+  // Returns a searchable-select value attribute (e.g. the remote or create URL),
+  // or nothing when the value isn't set
+  searchableSelectAttribute(name, value) {
+    return value
+      ? ` data-searchable-select-${name}-value="${this.escapeHTML(value)}"`
+      : "";
+  }
+
+  // The select starts empty and searches the worker options on demand
   createWorkerRow(index) {
-    const workerOptions = this.buildWorkerOptions();
     const isWorkDays = this.currentRateType === "work_days";
 
     return `
       <tr data-worker-index="${index}">
         <td>
-          <select class="form-select form-select-sm" name="work_order[work_order_workers_attributes][${index}][worker_id]" data-controller="searchable-select" data-searchable-select-placeholder-value="Select Worker" data-searchable-select-allow-clear-value="true" data-action="change->work-order-form#updateWorkerDetails" data-worker-index="${index}">
-            ${workerOptions}
+          <select class="form-select form-select-sm" name="work_order[work_order_workers_attributes][${index}][worker_id]" data-controller="searchable-select"${this.searchableSelectAttribute(
+            "url",
+            this.workerOptionsUrlValue,
+          )}${this.searchableSelectAttribute(
+            "create-url",
+            this.workerCreateUrlValue,
+          )} data-searchable-select-description-fields-value='["identityNumber","nationality"]' data-searchable-select-placeholder-value="Select Worker" data-searchable-select-allow-clear-value="true" data-action="change->work-order-form#updateWorkerDetails" data-worker-index="${index}">
+            <option value="">Select Worker</option>
           </select>
         </td>
         <td data-work-order-form-target="quantityCell">
@@ -480,6 +579,9 @@ export default class extends Controller {
           <input type="hidden" id="worker_rate_value_${index}" name="work_order[work_order_workers_attributes][${index}][rate]" value="${(
             this.currentWorkOrderRate || 0
           ).toFixed(2)}">
+          <!-- Shown when a work days rate strays from the standard rate beyond the tolerance -->
+          <div class="form-text text-warning" id="worker_rate_deviation_${index}" style="display: none;"></div>
+          <input type="text" class="form-control form-control-sm mt-1" id="worker_rate_reason_${index}" name="work_order[work_order_workers_attributes][${index}][rate_override_reason]" placeholder="Reason for rate change" style="display: none;">
         </td>
         <td>
           <input type="text" class="form-control form-control-sm" id="worker_amount_${index}" value="Auto Calculate" disabled style="background-color: #e9ecef;">
@@ -490,9 +592,10 @@ export default class extends Controller {
         </td>
         <input type="hidden" id="worker_destroy_${index}" name="work_order[work_order_workers_attributes][${index}][_destroy]" value="0">
         <td class="text-center">
-          <button type="button" class="btn btn-danger btn-sm" data-action="click->work-order-form#removeWorker" data-worker-index="${index}">
+          <button type="button" class="btn btn-danger btn-sm work-order-row-remove" data-action="click->work-order-form#removeWorker" data-worker-index="${index}">
             <i class="bi bi-trash text-white"></i>
           </button>
+          <button type="button" class="btn btn-link btn-sm p-0 work-order-row-restore" data-action="click->work-order-form#restoreRow">Restore</button>
         </td>
       </tr>
     `;
@@ -504,6 +607,7 @@ export default class extends Controller {
 
     if (!select || !select.options || select.selectedIndex < 0) return;
     const selectedOption = select.options[select.selectedIndex];
+    if (selectedOption.value) delete select.closest("tr").dataset.unmatchedWorker;
     if (!selectedOption.value) {
       // When worker is cleared, preserve the work order rate and recalculate amount
       // Don't reset rate to 0, keep the existing work order rate
@@ -574,27 +678,1504 @@ export default class extends Controller {
   }
 
   removeResource(event) {
-    const index = event.currentTarget.dataset.resourceIndex;
-    const destroyField = document.getElementById(`resource_destroy_${index}`);
-    if (destroyField) {
-      destroyField.value = "1";
-    }
+    this.removeRow(event.currentTarget.closest("tr"));
+  }
+
+  removeWorker(event) {
+    this.removeRow(event.currentTarget.closest("tr"));
+  }
+
+  removeRow(row) {
+    if (!row) return;
+
+    this.markRowRemoved(row);
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
+  }
+
+  restoreRow(event) {
     const row = event.currentTarget.closest("tr");
-    if (row) {
-      row.style.display = "none";
+    const destroy = row.querySelector('input[name$="[_destroy]"]');
+    if (destroy) destroy.value = "0";
+    row.classList.remove("work-order-row-removed");
+
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
+  }
+
+  // Removed rows stay in the table, greyed out with a restore link, and are
+  // only deleted when the form is saved
+  markRowRemoved(row) {
+    const destroy = row.querySelector('input[name$="[_destroy]"]');
+    if (destroy) destroy.value = "1";
+    row.classList.add("work-order-row-removed");
+  }
+
+  // === Grid navigation & paste ===
+  //
+  // The workers and resources tables behave like a spreadsheet: Up/Down and
+  // Enter move to the same column in the neighbouring row (Enter on the last
+  // row adds a new one) and Left/Right move between cells once the caret is
+  // at the edge of the text. Rows copied from Excel or Google Sheets can be
+  // pasted into the workers table, one row per line: worker name or IC
+  // number, quantity (days for work days rates), remarks.
+
+  // Candidate workers fetched per pasted name
+  static PASTE_MATCH_LIMIT = 100;
+
+  static GRID_CELL_SELECTOR =
+    'input:not([type="hidden"]), .searchable-select-display';
+
+  navigateGrid(event) {
+    // Keys the searchable selects already handled (opening, picking) are theirs
+    if (event.defaultPrevented || event.altKey || event.ctrlKey) return;
+    if (event.metaKey || event.shiftKey) return;
+
+    const field = event.target;
+    if (!field.matches?.(this.constructor.GRID_CELL_SELECTOR)) return;
+    if (field.closest(".searchable-select-dropdown")) return;
+
+    const row = field.closest("tr");
+    const container = row?.parentElement;
+    if (!this.gridContainers().includes(container)) return;
+
+    const column = field.closest("td").cellIndex;
+
+    switch (event.key) {
+      case "ArrowUp":
+        event.preventDefault();
+        this.focusGridRow(container, row, -1, column);
+        break;
+      case "ArrowDown":
+        event.preventDefault();
+        this.focusGridRow(container, row, 1, column);
+        break;
+      case "Enter":
+        // Never submit the form from inside the tables
+        event.preventDefault();
+        if (!this.focusGridRow(container, row, 1, column)) {
+          this.addGridRow(container, row, column);
+        }
+        break;
+      case "ArrowLeft":
+      case "ArrowRight": {
+        const step = event.key === "ArrowLeft" ? -1 : 1;
+        if (!this.caretAtEdge(field, step)) return;
+        event.preventDefault();
+        this.focusGridColumn(row, column, step);
+        break;
+      }
     }
   }
 
-  removeWorker(event) {
-    const index = event.currentTarget.dataset.workerIndex;
-    const destroyField = document.getElementById(`worker_destroy_${index}`);
-    if (destroyField) {
-      destroyField.value = "1";
+  gridContainers() {
+    return [
+      this.hasWorkersContainerTarget && this.workersContainerTarget,
+      this.hasResourcesContainerTarget && this.resourcesContainerTarget,
+    ].filter(Boolean);
+  }
+
+  // Moves focus `step` rows up or down; returns false at either end
+  focusGridRow(container, row, step, column) {
+    const rows = this.activeRows(container);
+    const target = rows[rows.indexOf(row) + step];
+    if (!target) return false;
+
+    this.focusGridCell(target.cells[column]);
+    return true;
+  }
+
+  focusGridColumn(row, column, step) {
+    for (let i = column + step; i >= 0 && i < row.cells.length; i += step) {
+      if (this.focusGridCell(row.cells[i])) return;
     }
-    const row = event.currentTarget.closest("tr");
-    if (row) {
-      row.style.display = "none";
+  }
+
+  focusGridCell(cell) {
+    const field = this.gridCellField(cell);
+    if (!field) return false;
+
+    field.focus();
+    if (field.tagName === "INPUT") field.select();
+    return true;
+  }
+
+  // The visible, editable field of a cell (quantity cells hold both a
+  // quantity and a days input, only one of them shown)
+  gridCellField(cell) {
+    if (!cell) return null;
+
+    return Array.from(
+      cell.querySelectorAll(this.constructor.GRID_CELL_SELECTOR),
+    ).find(
+      (field) =>
+        !field.disabled &&
+        field.offsetParent !== null &&
+        !field.closest(".searchable-select-dropdown"),
+    );
+  }
+
+  // Adds a row below the last one, unless the last one is still blank
+  addGridRow(container, row, column) {
+    const blank =
+      !row.querySelector("select")?.value &&
+      Array.from(row.querySelectorAll('input:not([type="hidden"])')).every(
+        (input) => input.disabled || input.value === "",
+      );
+    if (blank) return;
+
+    if (container === this.workersContainerTarget) {
+      this.addWorker();
+    } else {
+      this.addResource();
+    }
+    // New searchable selects connect on the next mutation callback
+    requestAnimationFrame(() =>
+      this.focusGridCell(container.lastElementChild?.cells[column]),
+    );
+  }
+
+  caretAtEdge(field, step) {
+    if (field.tagName !== "INPUT") return true;
+
+    // Number inputs expose no caret position
+    const { selectionStart, selectionEnd, value } = field;
+    if (selectionStart === null) return true;
+    if (selectionStart !== selectionEnd) return false;
+    return step < 0 ? selectionStart === 0 : selectionEnd === value.length;
+  }
+
+  async pasteWorkers(event) {
+    if (!this.hasWorkersContainerTarget) return;
+    if (event.target.closest?.(".searchable-select-dropdown")) return;
+
+    const row = event.target.closest?.("tr[data-worker-index]");
+    if (!row || !this.workersContainerTarget.contains(row)) return;
+
+    // A single value is an ordinary paste into the focused input
+    const text = event.clipboardData?.getData("text/plain") || "";
+    if (!/[\t\r\n]/.test(text.trim())) return;
+
+    const records = this.withoutHeaderRow(parseTSV(text));
+    if (records.length === 0) return;
+    event.preventDefault();
+
+    const rows = this.activeRows(this.workersContainerTarget);
+    let position = rows.indexOf(row);
+    const targets = records.map(() => rows[position++] || this.appendWorkerRow());
+    const workers = await this.matchPastedWorkers(
+      records.map(([name = ""]) => name),
+    );
+
+    records.forEach(([name = "", quantity = "", remarks = ""], i) => {
+      this.fillPastedWorkerRow(targets[i], {
+        name,
+        worker: workers.get(name),
+        quantity,
+        remarks,
+      });
+    });
+
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
+  }
+
+  // A copied header row ("Worker, Quantity, Remarks") has text where the
+  // quantity goes
+  withoutHeaderRow(records) {
+    const quantity = records[0]?.[1];
+    if (quantity && this.parsePastedNumber(quantity) === "") {
+      return records.slice(1);
+    }
+    return records;
+  }
+
+  fillPastedWorkerRow(row, { name, worker, quantity, remarks }) {
+    const index = row.dataset.workerIndex;
+    const select = row.querySelector("select");
+
+    if (name) {
+      if (worker) {
+        const value = String(worker.value);
+        this.ensureSelectOption(select, value, {
+          text: worker.text,
+          data: {
+            identityNumber: worker.data?.identity_number || "",
+            nationality: worker.data?.nationality || "",
+          },
+        });
+        select.value = value;
+        delete row.dataset.unmatchedWorker;
+      } else {
+        select.value = "";
+        row.dataset.unmatchedWorker = name;
+      }
+      this.refreshSearchableSelect(select);
+    }
+
+    const quantityInput = this.workerQuantityInput(index);
+    if (quantityInput) quantityInput.value = this.parsePastedNumber(quantity);
+
+    const remarksInput = row.querySelector('input[name$="[remarks]"]');
+    if (remarksInput) remarksInput.value = remarks;
+
+    this.calculateWorkerAmountByIndex(index);
+  }
+
+  // Resolves each distinct pasted name through the worker options endpoint;
+  // returns a Map of name -> worker option (null when nothing matched)
+  async matchPastedWorkers(names) {
+    const queries = [...new Set(names.filter(Boolean))];
+    const matches = await Promise.all(
+      queries.map((query) =>
+        this.matchPastedWorker(query).catch((error) => {
+          console.error(`Failed to look up worker "${query}":`, error);
+          return null;
+        }),
+      ),
+    );
+    return new Map(queries.map((query, i) => [query, matches[i]]));
+  }
+
+  // Finds the worker a pasted cell refers to: IC number or worker ID first,
+  // then the exact name, then the single best fuzzy match on the name.
+  // Returns null when nothing (or more than one equally good worker) matches.
+  async matchPastedWorker(query) {
+    const compact = (value) => String(value || "").replace(/[\s-]/g, "");
+    const candidates = await this.fetchWorkerOptions({ term: query });
+    if (/^\d+$/.test(query)) {
+      candidates.push(...(await this.fetchWorkerOptions({ id: query })));
+    }
+    if (compact(query) !== query) {
+      const term = compact(query);
+      candidates.push(...(await this.fetchWorkerOptions({ term })));
+    }
+
+    const byId = candidates.find(
+      (worker) =>
+        String(worker.value) === query ||
+        (worker.data?.identity_number &&
+          compact(worker.data.identity_number) === compact(query)),
+    );
+    if (byId) return byId;
+
+    const normalizeName = (value) =>
+      normalizeText(value || "")
+        .normalized.replace(/\s+/g, " ")
+        .trim();
+    const name = normalizeName(query);
+    const exact = this.uniqueWorkers(candidates).filter(
+      (worker) => normalizeName(worker.text) === name,
+    );
+    if (exact.length > 0) return exact.length === 1 ? exact[0] : null;
+
+    // A misspelt name finds nothing as a whole; search by its longest word
+    // for the fuzzy match instead
+    const fuzzyCandidates =
+      candidates.length > 0
+        ? candidates
+        : await this.fetchWorkerOptions({ term: this.longestWord(name) });
+
+    const matcher = getMatcher("fuzzy");
+    let best = null;
+    let tied = false;
+    this.uniqueWorkers(fuzzyCandidates).forEach((worker) => {
+      const result = matcher.match(query, worker.text);
+      if (!result) return;
+
+      if (!best || result.score > best.score) {
+        best = { worker, score: result.score };
+        tied = false;
+      } else if (result.score === best.score) {
+        tied = true;
+      }
+    });
+    return best && !tied ? best.worker : null;
+  }
+
+  // Active workers from the worker options endpoint matching `term` (name or
+  // IC number) or `id`, as { value, text, data } options
+  async fetchWorkerOptions({ term = null, id = null }) {
+    if (!term && !id) return [];
+
+    const url = new URL(this.workerOptionsUrlValue, window.location.origin);
+    if (term) url.searchParams.set("term", term);
+    if (id) url.searchParams.set("id", id);
+    url.searchParams.set("per_page", this.constructor.PASTE_MATCH_LIMIT);
+
+    const response = await fetch(url, {
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const payload = await response.json();
+    return payload.results || [];
+  }
+
+  uniqueWorkers(workers) {
+    return Array.from(
+      new Map(workers.map((worker) => [String(worker.value), worker])).values(),
+    );
+  }
+
+  longestWord(text) {
+    return text
+      .split(" ")
+      .reduce(
+        (longest, word) => (word.length > longest.length ? word : longest),
+        "",
+      );
+  }
+
+  // "1,250.5" -> "1250.5"; anything that isn't a number -> ""
+  parsePastedNumber(value) {
+    const number = parseFloat(String(value).replace(/,/g, "").trim());
+    return Number.isFinite(number) ? String(number) : "";
+  }
+
+  // === Copy from previous work order ===
+  //
+  // Replaces the worker and resource rows with the ones from the latest
+  // completed work order for the selected block and rate. Copied rows are
+  // ordinary editable rows; rates follow the current work order rate except
+  // for work days rates, which are entered per worker and copied as well.
+
+  async copyFromPrevious() {
+    const rateId = this.fieldValue("work_order[work_order_rate_id]");
+    const blockId = this.fieldValue("work_order[block_id]");
+    if (!rateId || (!blockId && this.currentRateType !== "resources")) {
+      alert("Please select the work order and block first.");
+      return;
+    }
+    if (
+      this.hasFilledRows() &&
+      !confirm(
+        "Replace the current workers and resources with the ones from the previous work order?",
+      )
+    ) {
+      return;
+    }
+
+    const url = new URL(this.previousUrlValue, window.location.origin);
+    url.searchParams.set("work_order_rate_id", rateId);
+    if (this.currentRateType !== "resources") {
+      url.searchParams.set("block_id", blockId);
+    }
+
+    this.copyPreviousButtonTarget.disabled = true;
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: "application/json" },
+      });
+      const payload = await response.json();
+
+      if (response.ok) {
+        this.applyPreviousWorkOrder(payload);
+      } else {
+        this.copyPreviousStatusTarget.textContent =
+          payload.error || "No previous work order found.";
+      }
+    } catch (error) {
+      console.error("Failed to load the previous work order:", error);
+      this.copyPreviousStatusTarget.textContent =
+        "Could not load the previous work order. Please try again.";
+    } finally {
+      this.copyPreviousButtonTarget.disabled = false;
+    }
+  }
+
+  applyPreviousWorkOrder(previous) {
+    const workers = this.hasWorkersContainerTarget ? previous.workers : [];
+    const resources = this.hasResourcesContainerTarget
+      ? previous.resources
+      : [];
+
+    if (this.hasWorkersContainerTarget) {
+      this.removeAllRows(this.workersContainerTarget);
+      workers.forEach((worker) => this.appendPreviousWorker(worker));
+    }
+    if (this.hasResourcesContainerTarget) {
+      this.removeAllRows(this.resourcesContainerTarget);
+      resources.forEach((item) => this.appendPreviousResource(item));
+    }
+
+    this.copyPreviousStatusTarget.textContent = `Copied ${workers.length} workers and ${resources.length} resources from work order #${previous.id}.`;
+    this.scheduleDraftSave();
+    this.recordHistory();
+    this.updateTotals();
+  }
+
+  appendPreviousWorker(worker) {
+    const row = this.appendWorkerRow();
+    const index = row.dataset.workerIndex;
+    const select = row.querySelector("select");
+    const value = String(worker.worker_id);
+    this.ensureSelectOption(select, value, {
+      text: worker.worker_name,
+      data: {
+        identityNumber: worker.identity_number || "",
+        nationality: worker.nationality || "",
+      },
+    });
+    select.value = value;
+
+    document.getElementById(`worker_quantity_${index}`).value =
+      worker.work_area_size ?? "";
+    document.getElementById(`worker_days_${index}`).value =
+      worker.work_days ?? "";
+    if (this.currentRateType === "work_days" && worker.rate != null) {
+      const rate = parseFloat(worker.rate) || 0;
+      document.getElementById(`worker_rate_input_${index}`).value = rate;
+      document.getElementById(`worker_rate_value_${index}`).value =
+        rate.toFixed(2);
+      document.getElementById(`worker_rate_reason_${index}`).value =
+        worker.rate_override_reason || "";
+    }
+    this.calculateWorkerAmountByIndex(index);
+  }
+
+  appendPreviousResource(item) {
+    const index = this.resourceIndex++;
+    this.resourcesContainerTarget.insertAdjacentHTML(
+      "beforeend",
+      this.createResourceRow(index).trim(),
+    );
+
+    const row = this.resourcesContainerTarget.lastElementChild;
+    const select = row.querySelector("select");
+    const value = String(item.inventory_id);
+    this.ensureSelectOption(select, value, {
+      text: item.item_name,
+      data: {
+        category: item.category || "",
+        unit: item.unit || "",
+        stock: item.stock ?? "",
+      },
+    });
+    select.value = value;
+    this.fillResourceDetails(select);
+
+    row.querySelector('input[name$="[amount_used]"]').value =
+      item.amount_used ?? "";
+  }
+
+  // Marks every row as removed, the same way the trash button does
+  removeAllRows(container) {
+    this.activeRows(container).forEach((row) => this.markRowRemoved(row));
+  }
+
+  hasFilledRows() {
+    return [
+      this.hasWorkersContainerTarget && this.workersContainerTarget,
+      this.hasResourcesContainerTarget && this.resourcesContainerTarget,
+    ]
+      .filter(Boolean)
+      .some((container) =>
+        this.activeRows(container).some(
+          (row) => row.querySelector("select")?.value,
+        ),
+      );
+  }
+
+  fieldValue(name) {
+    return this.element.querySelector(`[name="${name}"]`)?.value || "";
+  }
+
+  // === Totals & validation ===
+  //
+  // Duplicate workers, negative quantities and work days beyond the work month
+  // are flagged as soon as they appear. Empty quantities are only flagged after
+  // a submit attempt so a freshly added row isn't shown as an error. "Save as
+  // Draft" is allowed with problems; Submit is blocked until they're fixed.
+
+  updateTotals() {
+    this.updateRateDeviations();
+    this.updateStockLevels();
+    this.updateWorkerTotals();
+    this.updateResourceTotals();
+    return this.validateTables();
+  }
+
+  updateWorkerTotals() {
+    if (!this.hasWorkersContainerTarget) return;
+
+    let quantity = 0;
+    let amount = 0;
+    let workers = 0;
+
+    this.activeRows(this.workersContainerTarget).forEach((row) => {
+      const index = row.dataset.workerIndex;
+      quantity += parseFloat(this.workerQuantityInput(index)?.value) || 0;
+      amount +=
+        parseFloat(
+          document.getElementById(`worker_amount_value_${index}`)?.value,
+        ) || 0;
+      if (row.querySelector("select")?.value) workers++;
+    });
+
+    if (this.hasWorkerCountTotalTarget) {
+      this.workerCountTotalTarget.textContent = workers;
+    }
+    if (this.hasQuantityTotalTarget) {
+      this.quantityTotalTarget.textContent = this.formatQuantity(quantity);
+    }
+    if (this.hasWorkerAmountTotalTarget) {
+      this.workerAmountTotalTarget.textContent = `RM ${amount.toFixed(2)}`;
+    }
+  }
+
+  // Resources are measured in different units, so usage is totalled per unit
+  updateResourceTotals() {
+    if (!this.hasResourcesContainerTarget) return;
+
+    const usageByUnit = new Map();
+    let resources = 0;
+
+    this.activeRows(this.resourcesContainerTarget).forEach((row) => {
+      const index = row.dataset.resourceIndex;
+      const used =
+        parseFloat(row.querySelector('input[name$="[amount_used]"]')?.value) ||
+        0;
+      const unitValue = document.getElementById(`resource_unit_${index}`)?.value;
+      const unit = ["Auto Filled", "N/A"].includes(unitValue) ? "" : unitValue;
+
+      usageByUnit.set(unit, (usageByUnit.get(unit) || 0) + used);
+      if (row.querySelector("select")?.value) resources++;
+    });
+
+    if (this.hasResourceCountTotalTarget) {
+      this.resourceCountTotalTarget.textContent = resources;
+    }
+    if (this.hasResourceUsageTotalTarget) {
+      const usage = Array.from(usageByUnit)
+        .filter(([, total]) => total !== 0)
+        .map(([unit, total]) => `${this.formatQuantity(total)} ${unit}`.trim())
+        .join(" · ");
+      this.resourceUsageTotalTarget.textContent = usage || "0";
+    }
+  }
+
+  validateBeforeSubmit(event) {
+    if (event.target !== this.element) return;
+    // Drafts are meant to be incomplete
+    if (event.submitter?.name === "draft") return;
+
+    this.submitAttempted = true;
+    const problems = this.updateTotals();
+    if (problems.length === 0) return;
+
+    event.preventDefault();
+    if (this.hasValidationSummaryTarget) {
+      this.validationSummaryTarget.scrollIntoView({
+        behavior: "smooth",
+        block: "center",
+      });
+    }
+  }
+
+  // Marks offending cells and refreshes the summary; returns the problems
+  validateTables() {
+    const problems = [
+      ...this.collectWorkerProblems(),
+      ...this.collectResourceProblems(),
+      ...this.collectLineCommentProblems(),
+    ];
+
+    this.element
+      .querySelectorAll(".work-order-row-error")
+      .forEach((el) => el.remove());
+    this.element
+      .querySelectorAll("tbody .is-invalid, .work-order-line-comment .is-invalid")
+      .forEach((el) => el.classList.remove("is-invalid"));
+    [...problems, ...this.serverProblems()].forEach((problem) =>
+      this.markProblem(problem),
+    );
+
+    // Server errors are already listed above the form and don't block a retry
+    this.renderValidationSummary(problems);
+    return problems;
+  }
+
+  // === Server validation errors ===
+  //
+  // A failed save re-renders the form with the rows in the order they were
+  // submitted, and rowErrors holds their validation errors keyed by row index
+  // (WorkOrdersHelper#work_order_row_errors):
+  //   { "work_order_workers[3].work_days": ["must be greater than 0"] }
+  // Each error stays on its cell until that field is changed.
+
+  static ROW_ERROR_PATTERN =
+    /^(work_order_workers|work_order_items)\[(\d+)\]\.(\w+)$/;
+
+  initializeServerErrors() {
+    this.serverErrors = Object.entries(this.rowErrorsValue).flatMap(
+      ([key, messages]) => {
+        const match = key.match(this.constructor.ROW_ERROR_PATTERN);
+        if (!match) return [];
+
+        const [, association, index, attribute] = match;
+        const row = this.serverErrorRow(association, index);
+        if (!row) return [];
+
+        const field = this.serverErrorField(row, attribute);
+        return messages.map((message) => ({
+          row,
+          field,
+          message,
+          value: field.value,
+        }));
+      },
+    );
+  }
+
+  serverErrorRow(association, index) {
+    if (association === "work_order_workers") {
+      return this.hasWorkersContainerTarget
+        ? this.workersContainerTarget.querySelector(
+            `tr[data-worker-index="${index}"]`,
+          )
+        : null;
+    }
+    return this.hasResourcesContainerTarget
+      ? this.resourcesContainerTarget.querySelector(
+          `tr[data-resource-index="${index}"]`,
+        )
+      : null;
+  }
+
+  // The input submitted for the attribute ("worker" errors go on worker_id);
+  // errors without one go on the row's select
+  serverErrorField(row, attribute) {
+    return (
+      row.querySelector(`[name$="[${attribute}]"]`) ||
+      row.querySelector(`[name$="[${attribute}_id]"]`) ||
+      row.querySelector("select")
+    );
+  }
+
+  serverProblems() {
+    return (this.serverErrors || []).filter(
+      ({ row, field, value }) =>
+        row.isConnected &&
+        field.value === value &&
+        this.activeRows(row.parentElement).includes(row),
+    );
+  }
+
+  collectWorkerProblems() {
+    if (!this.hasWorkersContainerTarget || this.currentRateType === "resources") {
+      return [];
+    }
+
+    const problems = [];
+    const isWorkDays = this.currentRateType === "work_days";
+    const quantityLabel = isWorkDays ? "days" : "quantity";
+    const workMonth = this.workMonthInfo();
+    const seenWorkers = new Map();
+
+    this.activeRows(this.workersContainerTarget).forEach((row, position) => {
+      const rowNumber = position + 1;
+      const select = row.querySelector("select");
+      const name = select?.value ? select.selectedOptions[0]?.text : null;
+      const label = `Worker row ${rowNumber}${name ? ` (${name})` : ""}`;
+
+      if (!select?.value && row.dataset.unmatchedWorker) {
+        problems.push({
+          field: select,
+          label,
+          message: `no worker matches "${row.dataset.unmatchedWorker}", pick one or remove the row`,
+        });
+      }
+
+      if (select?.value) {
+        if (seenWorkers.has(select.value)) {
+          problems.push({
+            field: select,
+            label,
+            message: `already listed in row ${seenWorkers.get(select.value)}`,
+          });
+        } else {
+          seenWorkers.set(select.value, rowNumber);
+        }
+      }
+
+      const reasonInput = document.getElementById(
+        `worker_rate_reason_${row.dataset.workerIndex}`,
+      );
+      if (
+        reasonInput &&
+        this.rateDeviates(row.dataset.workerIndex) &&
+        reasonInput.value.trim() === ""
+      ) {
+        problems.push({
+          field: reasonInput,
+          label,
+          message: "give a reason for the rate change",
+        });
+      }
+
+      const quantityInput = this.workerQuantityInput(row.dataset.workerIndex);
+      if (!quantityInput) return;
+
+      const raw = quantityInput.value.trim();
+      const value = parseFloat(raw);
+      if (raw === "") {
+        if (this.submitAttempted) {
+          problems.push({
+            field: quantityInput,
+            label,
+            message: `enter the ${quantityLabel}`,
+          });
+        }
+      } else if (value < 0) {
+        problems.push({
+          field: quantityInput,
+          label,
+          message: `${quantityLabel} cannot be negative`,
+        });
+      } else if (isWorkDays && value > workMonth.days) {
+        problems.push({
+          field: quantityInput,
+          label,
+          message: `${value} days is more than the ${workMonth.days} days in ${workMonth.label}`,
+        });
+      }
+    });
+
+    return problems;
+  }
+
+  collectResourceProblems() {
+    if (
+      !this.hasResourcesContainerTarget ||
+      this.currentRateType === "work_days"
+    ) {
+      return [];
+    }
+
+    const problems = [];
+    const shortages = this.stockShortages();
+
+    this.activeRows(this.resourcesContainerTarget).forEach((row, position) => {
+      const select = row.querySelector("select");
+      const name = select?.value ? select.selectedOptions[0]?.text : null;
+      const label = `Resource row ${position + 1}${name ? ` (${name})` : ""}`;
+      const input = row.querySelector('input[name$="[amount_used]"]');
+      if (!input) return;
+
+      const raw = input.value.trim();
+      if (raw === "") {
+        if (this.submitAttempted) {
+          problems.push({ field: input, label, message: "enter the amount used" });
+        }
+      } else if (parseFloat(raw) < 0) {
+        problems.push({
+          field: input,
+          label,
+          message: "amount used cannot be negative",
+        });
+      } else if (shortages.has(select?.value)) {
+        const { stock, used } = shortages.get(select.value);
+        problems.push({
+          field: input,
+          label,
+          message: `${this.formatQuantity(used)} used but only ${this.formatQuantity(stock)} in stock`,
+        });
+      }
+    });
+
+    return problems;
+  }
+
+  markProblem({ field, message }) {
+    // Searchable selects hide the native select; flag the visible display
+    const target =
+      field.tagName === "SELECT"
+        ? field.parentElement.querySelector(".searchable-select-display") ||
+          field
+        : field;
+    target.classList.add("is-invalid");
+
+    const feedback = document.createElement("div");
+    feedback.className = "invalid-feedback d-block work-order-row-error";
+    feedback.textContent = message.charAt(0).toUpperCase() + message.slice(1);
+    field.closest(".work-order-line-comment, td").appendChild(feedback);
+  }
+
+  renderValidationSummary(problems) {
+    if (!this.hasValidationSummaryTarget) return;
+
+    const visible = this.submitAttempted && problems.length > 0;
+    this.validationSummaryTarget.classList.toggle("d-none", !visible);
+    if (!this.hasValidationListTarget) return;
+
+    this.validationListTarget.innerHTML = "";
+    problems.forEach(({ label, message }) => {
+      const item = document.createElement("li");
+      item.textContent = `${label}: ${message}`;
+      this.validationListTarget.appendChild(item);
+    });
+  }
+
+  // Shows the stock on hand under each resource's amount. Stock comes with
+  // the inventory option and already leaves out this work order's saved
+  // usage, so rows are compared against it directly. The server refuses to
+  // submit over-consumption as well (WorkOrder#stock_available?).
+  updateStockLevels() {
+    if (!this.hasResourcesContainerTarget) return;
+
+    const shortages = this.stockShortages();
+    this.activeRows(this.resourcesContainerTarget).forEach((row) => {
+      const note = document.getElementById(
+        `resource_stock_${row.dataset.resourceIndex}`,
+      );
+      if (!note) return;
+
+      const select = row.querySelector("select");
+      const stock = this.optionStock(select);
+      const unit = select?.selectedOptions[0]?.dataset.unit || "";
+      const short = shortages.has(select?.value);
+
+      note.classList.toggle("text-danger", short);
+      note.textContent =
+        stock === null
+          ? ""
+          : [this.formatQuantity(stock), unit, "in stock"]
+              .filter(Boolean)
+              .join(" ");
+    });
+  }
+
+  // Inventories whose rows together use more than the stock on hand:
+  // Map of inventory id => { stock, used }
+  stockShortages() {
+    const usage = new Map();
+    if (!this.hasResourcesContainerTarget) return usage;
+
+    this.activeRows(this.resourcesContainerTarget).forEach((row) => {
+      const select = row.querySelector("select");
+      const stock = this.optionStock(select);
+      if (stock === null) return;
+
+      const used =
+        parseFloat(row.querySelector('input[name$="[amount_used]"]')?.value) ||
+        0;
+      const entry = usage.get(select.value) || { stock, used: 0 };
+      entry.used += used;
+      usage.set(select.value, entry);
+    });
+
+    usage.forEach((entry, id) => {
+      if (entry.used <= entry.stock) usage.delete(id);
+    });
+    return usage;
+  }
+
+  optionStock(select) {
+    if (!select?.value) return null;
+
+    const stock = parseFloat(select.selectedOptions[0]?.dataset.stock);
+    return Number.isFinite(stock) ? stock : null;
+  }
+
+  // Work days rates are typed per worker; one that differs from the work
+  // order rate by more than the tolerance shows the difference and a reason
+  // input (WorkOrderWorker#rate_deviates? applies the same rule on submit)
+  updateRateDeviations() {
+    if (!this.hasWorkersContainerTarget) return;
+
+    this.workersContainerTarget
+      .querySelectorAll("tr[data-worker-index]")
+      .forEach((row) => {
+        const index = row.dataset.workerIndex;
+        const note = document.getElementById(`worker_rate_deviation_${index}`);
+        const reasonInput = document.getElementById(
+          `worker_rate_reason_${index}`,
+        );
+        const deviates = this.rateDeviates(index);
+
+        if (note) {
+          const deviation = this.rateDeviation(index);
+          note.style.display = deviates ? "block" : "none";
+          note.textContent = deviates
+            ? `${Math.abs(deviation).toFixed(1)}% ${
+                deviation > 0 ? "above" : "below"
+              } the standard rate (RM ${this.standardRate().toFixed(2)})`
+            : "";
+        }
+        if (reasonInput) reasonInput.style.display = deviates ? "block" : "none";
+      });
+  }
+
+  // Signed difference between the row's rate and the work order rate in
+  // percent, rounded like the server does; null when there's nothing to compare
+  rateDeviation(index) {
+    if (this.currentRateType !== "work_days") return null;
+    const standardRate = this.standardRate();
+    if (!(standardRate > 0)) return null;
+
+    const raw = document.getElementById(`worker_rate_value_${index}`)?.value;
+    const rate = parseFloat(raw);
+    if (!Number.isFinite(rate)) return null;
+
+    const percent = ((rate - standardRate) / standardRate) * 100;
+    return Math.round(percent * 10) / 10;
+  }
+
+  // The rate WorkOrderWorker#standard_rate checks against: the price saved
+  // with the work order while its rate is unchanged, else the selected rate's
+  standardRate() {
+    const rateSelect = this.element.querySelector(
+      "select[data-work-order-rates]",
+    );
+    const unchanged = rateSelect?.value === this.savedRateIdValue;
+    if (unchanged && this.savedRatePriceValue > 0) {
+      return this.savedRatePriceValue;
+    }
+    return this.currentWorkOrderRate;
+  }
+
+  rateDeviates(index) {
+    const deviation = this.rateDeviation(index);
+    return deviation !== null && Math.abs(deviation) > this.rateToleranceValue;
+  }
+
+  // Rows that will be submitted (not removed with the trash button)
+  activeRows(container) {
+    return Array.from(container.querySelectorAll("tr")).filter((row) => {
+      const destroy = row.querySelector('input[name$="[_destroy]"]');
+      return destroy?.value !== "1";
+    });
+  }
+
+  workerQuantityInput(index) {
+    return document.getElementById(
+      this.currentRateType === "work_days"
+        ? `worker_days_${index}`
+        : `worker_quantity_${index}`,
+    );
+  }
+
+  // Number of days in the selected work month, or 31 when none is chosen yet
+  workMonthInfo() {
+    const value =
+      this.element.elements.namedItem("work_order[work_month]")?.value || "";
+    const [year, month] = value.split("-").map(Number);
+    if (!year || !month) return { days: 31, label: "a month" };
+
+    return {
+      days: new Date(year, month, 0).getDate(),
+      label: new Date(year, month - 1, 1).toLocaleString(undefined, {
+        month: "long",
+        year: "numeric",
+      }),
+    };
+  }
+
+  formatQuantity(value) {
+    return parseFloat(value.toFixed(3)).toString();
+  }
+
+  // === Amendment comments ===
+  //
+  // Comments the approver left on rows with the latest amendment request
+  // (lineComments value, WorkOrdersHelper#work_order_line_comments). Each one
+  // sits under its row with a "Resolved" tick, submitted as line_comments
+  // nested attributes; comments whose row is gone are listed above the tables.
+  // Undo and draft restore rebuild the rows, so the ticks are kept here and the
+  // comments attached again afterwards.
+
+  initializeLineComments() {
+    this.lineCommentResolved = new Map(
+      this.lineCommentsValue.map(({ id, resolved }) => [String(id), resolved]),
+    );
+    this.attachLineComments();
+  }
+
+  attachLineComments() {
+    this.element
+      .querySelectorAll(".work-order-line-comment")
+      .forEach((el) => el.remove());
+    if (this.hasLineCommentsFallbackTarget) {
+      this.lineCommentsFallbackTarget.classList.add("d-none");
+    }
+
+    this.lineCommentsValue.forEach((comment, index) => {
+      const row = this.lineCommentRow(comment);
+      if (row) {
+        row.querySelector("td").appendChild(this.buildLineComment(comment, index));
+      } else if (this.hasLineCommentsFallbackTarget) {
+        this.lineCommentsFallbackTarget.appendChild(
+          this.buildLineComment(comment, index, { withRowName: true }),
+        );
+        this.lineCommentsFallbackTarget.classList.remove("d-none");
+      }
+    });
+  }
+
+  // The row holding the commented record, matched on its hidden id field
+  lineCommentRow({ row_type, row_id }) {
+    const container =
+      row_type === "worker"
+        ? this.hasWorkersContainerTarget && this.workersContainerTarget
+        : this.hasResourcesContainerTarget && this.resourcesContainerTarget;
+    if (!container || !row_id) return null;
+
+    return Array.from(container.querySelectorAll("tr")).find((row) =>
+      Array.from(row.querySelectorAll('input[name$="[id]"]')).some(
+        (input) =>
+          !input.closest(".work-order-line-comment") &&
+          input.value === String(row_id),
+      ),
+    );
+  }
+
+  buildLineComment(comment, index, { withRowName = false } = {}) {
+    const name = `work_order[line_comments_attributes][${index}]`;
+    const checkboxId = `line_comment_resolved_${comment.id}`;
+    const resolved = this.lineCommentResolved.get(String(comment.id));
+    const rowName = withRowName && comment.row_name
+      ? `<strong>${this.escapeHTML(comment.row_name)}:</strong> `
+      : "";
+
+    const block = document.createElement("div");
+    block.className = "work-order-line-comment small mt-1";
+    block.innerHTML = `
+      <div class="text-danger">
+        <i class="bi bi-chat-left-text me-1"></i>${rowName}${this.escapeHTML(comment.body)}
+      </div>
+      <input type="hidden" name="${name}[id]" value="${comment.id}">
+      <input type="hidden" name="${name}[resolved]" value="0">
+      <div class="form-check">
+        <input type="checkbox" class="form-check-input" id="${checkboxId}" name="${name}[resolved]" value="1"
+               data-line-comment-id="${comment.id}"
+               data-action="change->work-order-form#resolveLineComment" ${resolved ? "checked" : ""}>
+        <label class="form-check-label" for="${checkboxId}">Resolved</label>
+      </div>
+    `;
+    // Set through the DOM: escapeHTML leaves quotes alone, so the name
+    // can't go into the attribute markup
+    if (comment.row_name) {
+      block.querySelector("input[type='checkbox']").dataset.rowName = comment.row_name;
+    }
+    return block;
+  }
+
+  resolveLineComment(event) {
+    this.lineCommentResolved.set(
+      event.target.dataset.lineCommentId,
+      event.target.checked,
+    );
+  }
+
+  // The server refuses to resubmit with open comments as well
+  // (WorkOrder#line_comments_resolved?)
+  collectLineCommentProblems() {
+    return Array.from(
+      this.element.querySelectorAll(
+        ".work-order-line-comment input[type='checkbox']",
+      ),
+    )
+      .filter((checkbox) => !checkbox.checked)
+      .map((checkbox) => ({
+        field: checkbox,
+        label: checkbox.dataset.rowName || "Amendment comment",
+        message: "mark the approver's comment as resolved",
+      }));
+  }
+
+  // === Undo / redo ===
+  //
+  // The history is a stack of form snapshots in the draft format (see
+  // serializeDraft). A snapshot is taken after every change: straight away
+  // for added/removed rows, selects and rate changes, and once typing pauses
+  // for text fields. Undo and redo rebuild the rows from a snapshot the same
+  // way restoring a draft does.
+
+  initializeHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyState = this.serializeHistoryState();
+    this.updateHistoryButtons();
+  }
+
+  serializeHistoryState() {
+    return JSON.stringify(this.serializeDraft({ keepRemoved: true }));
+  }
+
+  scheduleHistory() {
+    if (this.restoringDraft) return;
+
+    clearTimeout(this.historyTimeout);
+    this.historyTimeout = setTimeout(
+      () => this.recordHistory(),
+      this.constructor.HISTORY_DELAY,
+    );
+  }
+
+  recordHistory() {
+    clearTimeout(this.historyTimeout);
+    this.historyTimeout = null;
+    if (this.restoringDraft || !this.undoStack) return;
+
+    const state = this.serializeHistoryState();
+    if (state === this.historyState) return;
+
+    this.undoStack.push(this.historyState);
+    if (this.undoStack.length > this.constructor.HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack.length = 0;
+    this.historyState = state;
+    this.updateHistoryButtons();
+  }
+
+  undo() {
+    this.stepHistory(this.undoStack, this.redoStack);
+  }
+
+  redo() {
+    this.stepHistory(this.redoStack, this.undoStack);
+  }
+
+  // Replaces the form with the latest state on `from`, keeping the current
+  // one on `to`
+  stepHistory(from, to) {
+    // Typing that hasn't been recorded yet is the first thing to undo
+    if (this.historyTimeout) this.recordHistory();
+    if (from.length === 0) return;
+
+    to.push(this.historyState);
+    this.historyState = from.pop();
+    this.applyFormState(JSON.parse(this.historyState));
+    this.updateHistoryButtons();
+    this.scheduleDraftSave();
+    this.updateTotals();
+  }
+
+  // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on macOS)
+  handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+
+    // Fields (the searchable-select search boxes too) keep the browser's own
+    // text undo, and so do dialogs; the shortcuts apply everywhere else
+    if (
+      event.target.closest?.(
+        "input, textarea, select, [contenteditable], .modal",
+      )
+    ) {
+      return;
+    }
+
+    event.preventDefault();
+    if (key === "y" || event.shiftKey) {
+      this.redo();
+    } else {
+      this.undo();
+    }
+  }
+
+  updateHistoryButtons() {
+    if (this.hasUndoButtonTarget) {
+      this.undoButtonTarget.disabled = this.undoStack.length === 0;
+    }
+    if (this.hasRedoButtonTarget) {
+      this.redoButtonTarget.disabled = this.redoStack.length === 0;
+    }
+  }
+
+  // === Draft autosave ===
+  //
+  // The form state (top-level fields plus every worker/resource row) is kept in
+  // localStorage under draftKeyValue while the user edits. On the next visit a
+  // banner offers to restore or discard it. A successful submit clears it.
+  // Editing before answering the banner replaces the older draft.
+
+  initializeDraft() {
+    if (!this.hasDraftKeyValue || !this.draftKeyValue) return;
+
+    this.pageHideHandler = () => this.flushDraftSave();
+    window.addEventListener("pagehide", this.pageHideHandler);
+
+    // Untouched forms aren't worth saving; compare against the loaded state
+    this.initialDraftState = JSON.stringify(this.serializeDraft());
+
+    const draft = this.readDraft();
+    if (draft && JSON.stringify(draft.state) !== this.initialDraftState) {
+      this.showDraftBanner(draft);
+    }
+  }
+
+  scheduleDraftSave() {
+    if (!this.draftKeyValue || this.draftSubmitted || this.restoringDraft) {
+      return;
+    }
+
+    clearTimeout(this.draftSaveTimeout);
+    this.draftSaveTimeout = setTimeout(
+      () => this.saveDraft(),
+      this.constructor.DRAFT_SAVE_DELAY,
+    );
+  }
+
+  flushDraftSave() {
+    if (!this.draftSaveTimeout) return;
+
+    clearTimeout(this.draftSaveTimeout);
+    this.saveDraft();
+  }
+
+  saveDraft() {
+    this.draftSaveTimeout = null;
+    if (this.draftSubmitted) return;
+
+    const state = this.serializeDraft();
+    if (JSON.stringify(state) === this.initialDraftState) return;
+
+    try {
+      localStorage.setItem(
+        this.draftKeyValue,
+        JSON.stringify({
+          version: this.constructor.DRAFT_VERSION,
+          savedAt: Date.now(),
+          state,
+        }),
+      );
+      this.hideDraftBanner();
+    } catch (error) {
+      // Quota exceeded or storage disabled; the form still works without drafts
+      console.warn("Could not save work order draft:", error);
+    }
+  }
+
+  readDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.draftKeyValue));
+      if (!draft || draft.version !== this.constructor.DRAFT_VERSION) {
+        return null;
+      }
+      if (Date.now() - draft.savedAt > this.constructor.DRAFT_MAX_AGE) {
+        this.removeDraft();
+        return null;
+      }
+      return draft;
+    } catch (error) {
+      console.warn("Ignoring unreadable work order draft:", error);
+      return null;
+    }
+  }
+
+  removeDraft() {
+    try {
+      localStorage.removeItem(this.draftKeyValue);
+    } catch (error) {
+      console.warn("Could not remove work order draft:", error);
+    }
+  }
+
+  restoreDraft() {
+    const draft = this.readDraft();
+    this.hideDraftBanner();
+    if (!draft) return;
+
+    this.applyFormState(draft.state);
+    this.recordHistory();
+  }
+
+  // Puts the form back into a state taken with serializeDraft
+  applyFormState(state) {
+    this.restoringDraft = true;
+    try {
+      this.restoreDraftFields(state.fields || {});
+      // The rate select decides the rate type used to build the rows
+      this.initializeWorkOrderRateFromSelect();
+      if (this.hasResourcesContainerTarget) {
+        this.resourceIndex = this.rebuildDraftRows(
+          this.resourcesContainerTarget,
+          state.resources || [],
+          (index) => this.createResourceRow(index),
+        );
+      }
+      if (this.hasWorkersContainerTarget) {
+        this.workerIndex = this.rebuildDraftRows(
+          this.workersContainerTarget,
+          state.workers || [],
+          (index) => this.createWorkerRow(index),
+        );
+      }
+      this.refreshAllWorkerDisplays();
+      this.updateConditionalSections();
+      this.attachLineComments();
+    } finally {
+      this.restoringDraft = false;
+    }
+  }
+
+  discardDraft() {
+    this.removeDraft();
+    this.hideDraftBanner();
+  }
+
+  clearDraftAfterSubmit(event) {
+    if (event.target !== this.element || !event.detail.success) return;
+
+    this.draftSubmitted = true;
+    clearTimeout(this.draftSaveTimeout);
+    this.draftSaveTimeout = null;
+    this.removeDraft();
+  }
+
+  showDraftBanner(draft) {
+    if (!this.hasDraftBannerTarget) return;
+
+    if (this.hasDraftSavedAtTarget) {
+      this.draftSavedAtTarget.textContent = new Date(
+        draft.savedAt,
+      ).toLocaleString();
     }
+    this.draftBannerTarget.classList.remove("d-none");
+  }
+
+  hideDraftBanner() {
+    if (this.hasDraftBannerTarget) {
+      this.draftBannerTarget.classList.add("d-none");
+    }
+  }
+
+  // Removed rows that were never saved are left out of drafts but kept in the
+  // undo history so they can be restored
+  serializeDraft({ keepRemoved = false } = {}) {
+    const fields = {};
+    Array.from(this.element.elements).forEach((el) => {
+      if (!el.name || !el.name.startsWith("work_order[")) return;
+      if (el.closest("tr[data-worker-index], tr[data-resource-index]")) return;
+      // Resolved ticks are kept apart (attachLineComments)
+      if (el.closest(".work-order-line-comment")) return;
+      fields[el.name] = el.value;
+    });
+
+    return {
+      fields,
+      resources: this.hasResourcesContainerTarget
+        ? this.serializeDraftRows(this.resourcesContainerTarget, keepRemoved)
+        : [],
+      workers: this.hasWorkersContainerTarget
+        ? this.serializeDraftRows(this.workersContainerTarget, keepRemoved)
+        : [],
+    };
+  }
+
+  // Rows are stored as { values: { field: value }, option: { text, data } } so
+  // remote selects can be rebuilt without a lookup
+  serializeDraftRows(container, keepRemoved = false) {
+    return Array.from(container.querySelectorAll("tr"))
+      .map((row) => {
+        const values = {};
+        row.querySelectorAll("[name]").forEach((el) => {
+          if (el.closest(".work-order-line-comment")) return;
+          const field = el.name.match(/\[([^\]]+)\]$/)?.[1];
+          if (field) values[field] = el.value;
+        });
+
+        const select = row.querySelector("select");
+        const option = select?.options[select.selectedIndex];
+        return {
+          values,
+          option:
+            option && option.value
+              ? { text: option.text, data: { ...option.dataset } }
+              : null,
+        };
+      })
+      .filter(
+        (row) =>
+          keepRemoved || !(row.values._destroy === "1" && !row.values.id),
+      );
+  }
+
+  restoreDraftFields(fields) {
+    Object.entries(fields).forEach(([name, value]) => {
+      const el = this.element.elements.namedItem(name);
+      if (!el || el.disabled || el.value === value) return;
+
+      el.value = value;
+      if (el.tagName === "SELECT") this.refreshSearchableSelect(el);
+    });
+  }
+
+  // Replaces the rows in `container` with the drafted ones and returns the
+  // next free row index
+  rebuildDraftRows(container, rows, buildRow) {
+    container.innerHTML = "";
+
+    rows.forEach((row, index) => {
+      container.insertAdjacentHTML("beforeend", buildRow(index).trim());
+      this.applyDraftRow(container.lastElementChild, row, index);
+    });
+    return rows.length;
+  }
+
+  applyDraftRow(rowEl, row, index) {
+    const select = rowEl.querySelector("select");
+    const prefix = select.name.replace(/\[[^\]]+\]$/, "");
+
+    Object.entries(row.values).forEach(([field, value]) => {
+      if (select.name === `${prefix}[${field}]`) return;
+
+      let input = rowEl.querySelector(`[name="${prefix}[${field}]"]`);
+      if (!input) {
+        // Persisted rows carry their record id in a hidden field
+        input = document.createElement("input");
+        input.type = "hidden";
+        input.name = `${prefix}[${field}]`;
+        rowEl.querySelector("td").appendChild(input);
+      }
+      input.value = value;
+    });
+
+    const selectedValue = Object.entries(row.values).find(
+      ([field]) => select.name === `${prefix}[${field}]`,
+    )?.[1];
+    if (selectedValue) {
+      this.ensureSelectOption(select, selectedValue, row.option);
+      select.value = selectedValue;
+    }
+
+    if (rowEl.dataset.workerIndex !== undefined) {
+      const rateInput = document.getElementById(`worker_rate_input_${index}`);
+      if (rateInput) rateInput.value = row.values.rate || "";
+    } else {
+      this.fillResourceDetails(select);
+    }
+
+    if (row.values._destroy === "1") this.markRowRemoved(rowEl);
+  }
+
+  ensureSelectOption(select, value, option) {
+    const exists = Array.from(select.options).some((opt) => opt.value === value);
+    if (exists || !option) return;
+
+    const el = document.createElement("option");
+    el.value = value;
+    el.textContent = option.text;
+    Object.entries(option.data || {}).forEach(([key, data]) => {
+      el.dataset[key] = data;
+    });
+    select.appendChild(el);
+  }
+
+  refreshSearchableSelect(select) {
+    const controller = this.application.getControllerForElementAndIdentifier(
+      select,
+      "searchable-select",
+    );
+    if (controller) controller.refresh();
   }
 
   /**
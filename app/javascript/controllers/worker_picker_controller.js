@@ -0,0 +1,245 @@
+import { Controller } from "@hotwired/stimulus";
+
+/**
+ * WorkerPickerController
+ *
+ * Bootstrap modal for adding many workers to a work order at once.
+ * Workers are loaded from the worker_options endpoint, filtered by name/IC,
+ * worker type, nationality and active status, and chosen with checkboxes.
+ * The selection is kept while the filters change.
+ *
+ * Workers already in the work order are shown as "Already added" and can't be
+ * picked again.
+ *
+ * Opened by work-order-form through its worker-picker outlet:
+ *   this.workerPickerOutlet.open(existingWorkerIds)
+ *
+ * On "Add" it dispatches `worker-picker:add` with
+ *   { workers: [{ value, text, data: { identityNumber, nationality, ... } }] }
+ */
+export default class extends Controller {
+  static targets = [
+    "search",
+    "typeFilter",
+    "nationalityFilter",
+    "statusFilter",
+    "list",
+    "selectAll",
+    "status",
+    "selectedCount",
+    "addButton",
+  ];
+  static values = {
+    url: String,
+    limit: { type: Number, default: 200 },
+  };
+
+  static SEARCH_DEBOUNCE_DELAY = 300;
+
+  connect() {
+    this.selected = new Map();
+    this.existingIds = new Set();
+    this.results = [];
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimeout);
+    this.abortController?.abort();
+  }
+
+  open(existingIds = []) {
+    this.existingIds = new Set(existingIds.map(String));
+    this.selected.clear();
+    this.updateSelectedCount();
+
+    window.bootstrap.Modal.getOrCreateInstance(this.element).show();
+    this.load();
+  }
+
+  // === Loading ===
+
+  search() {
+    clearTimeout(this.searchTimeout);
+    this.searchTimeout = setTimeout(
+      () => this.load(),
+      this.constructor.SEARCH_DEBOUNCE_DELAY,
+    );
+  }
+
+  async load() {
+    this.abortController?.abort();
+    const abortController = new AbortController();
+    this.abortController = abortController;
+    this.showStatus("Loading workers...");
+
+    try {
+      const response = await fetch(this.buildUrl(), {
+        headers: { Accept: "application/json" },
+        signal: abortController.signal,
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const payload = await response.json();
+      this.results = payload.results || [];
+      this.renderList();
+
+      if (payload.has_more) {
+        this.showStatus(
+          `Showing the first ${payload.limit} workers. Narrow the filters to see the rest.`,
+        );
+      } else if (this.results.length === 0) {
+        this.showStatus("No workers match these filters.");
+      } else {
+        this.showStatus("");
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return;
+
+      console.error("Worker picker request failed:", error);
+      this.results = [];
+      this.renderList();
+      this.showStatus("Could not load workers. Please try again.");
+    }
+  }
+
+  buildUrl() {
+    const url = new URL(this.urlValue, window.location.origin);
+    url.searchParams.set("term", this.searchTarget.value.trim());
+    url.searchParams.set("worker_type", this.typeFilterTarget.value);
+    url.searchParams.set("nationality", this.nationalityFilterTarget.value);
+    url.searchParams.set("status", this.statusFilterTarget.value);
+    url.searchParams.set("per_page", this.limitValue);
+    return url.toString();
+  }
+
+  // === Rendering ===
+
+  renderList() {
+    this.listTarget.innerHTML = "";
+    this.results.forEach((worker) => {
+      this.listTarget.appendChild(this.createItem(worker));
+    });
+    this.syncSelectAll();
+  }
+
+  createItem(worker) {
+    const value = String(worker.value);
+    const data = worker.data || {};
+    const alreadyAdded = this.existingIds.has(value);
+    const id = `worker_picker_${value}`;
+
+    const item = document.createElement("label");
+    item.className =
+      "list-group-item d-flex align-items-center gap-3" +
+      (alreadyAdded ? " text-muted" : "");
+    item.htmlFor = id;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "form-check-input m-0";
+    checkbox.id = id;
+    checkbox.value = value;
+    checkbox.disabled = alreadyAdded;
+    checkbox.checked = this.selected.has(value);
+    checkbox.addEventListener("change", () =>
+      this.toggleWorker(worker, checkbox.checked),
+    );
+
+    const details = document.createElement("div");
+    details.className = "flex-grow-1";
+
+    const name = document.createElement("div");
+    name.className = "fw-semibold";
+    name.textContent = worker.text;
+
+    const meta = document.createElement("small");
+    meta.className = "text-muted";
+    meta.textContent = [data.identity_number, data.nationality, data.worker_type]
+      .filter(Boolean)
+      .join(" · ");
+
+    details.append(name, meta);
+    item.append(checkbox, details);
+
+    if (alreadyAdded) {
+      item.appendChild(this.createBadge("Already added", "bg-secondary"));
+    } else if (data.active === false) {
+      item.appendChild(this.createBadge("Inactive", "bg-warning text-dark"));
+    }
+    return item;
+  }
+
+  createBadge(text, classes) {
+    const badge = document.createElement("span");
+    badge.className = `badge ${classes}`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  showStatus(message) {
+    this.statusTarget.textContent = message;
+    this.statusTarget.classList.toggle("d-none", message === "");
+  }
+
+  // === Selection ===
+
+  toggleWorker(worker, checked) {
+    const value = String(worker.value);
+    if (checked) {
+      this.selected.set(value, worker);
+    } else {
+      this.selected.delete(value);
+    }
+    this.updateSelectedCount();
+    this.syncSelectAll();
+  }
+
+  toggleAll() {
+    const checked = this.selectAllTarget.checked;
+    this.selectableCheckboxes().forEach((checkbox) => {
+      const worker = this.results.find(
+        (result) => String(result.value) === checkbox.value,
+      );
+      checkbox.checked = checked;
+      if (worker) this.toggleWorker(worker, checked);
+    });
+  }
+
+  selectableCheckboxes() {
+    return Array.from(
+      this.listTarget.querySelectorAll("input[type=checkbox]:not(:disabled)"),
+    );
+  }
+
+  syncSelectAll() {
+    const checkboxes = this.selectableCheckboxes();
+    const checkedCount = checkboxes.filter((checkbox) => checkbox.checked).length;
+
+    this.selectAllTarget.disabled = checkboxes.length === 0;
+    this.selectAllTarget.checked =
+      checkboxes.length > 0 && checkedCount === checkboxes.length;
+    this.selectAllTarget.indeterminate =
+      checkedCount > 0 && checkedCount < checkboxes.length;
+  }
+
+  updateSelectedCount() {
+    const count = this.selected.size;
+    this.selectedCountTarget.textContent = `${count} selected`;
+    this.addButtonTarget.disabled = count === 0;
+  }
+
+  add() {
+    const workers = Array.from(this.selected.values()).map((worker) => ({
+      value: String(worker.value),
+      text: worker.text,
+      data: {
+        identityNumber: worker.data?.identity_number || "",
+        nationality: worker.data?.nationality || "",
+      },
+    }));
+    if (workers.length === 0) return;
+
+    this.dispatch("add", { detail: { workers } });
+    window.bootstrap.Modal.getOrCreateInstance(this.element).hide();
+  }
+}
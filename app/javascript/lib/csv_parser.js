@@ -0,0 +1,66 @@
+/**
+ * CSV Parser
+ *
+ * Parses delimited text (CSV files, or tab separated text as copied from
+ * Excel or Google Sheets) into an array of rows (arrays of cell strings).
+ * Cells containing the separator, line breaks or quotes are wrapped in double
+ * quotes with inner quotes doubled.
+ *
+ * Usage:
+ *   import { parseCSV } from "lib/csv_parser";
+ *
+ *   parseCSV('Date,Ticket\n31/01/2026,"E-1, late"\n');
+ *   // => [["Date", "Ticket"], ["31/01/2026", "E-1, late"]]
+ *
+ * Blank lines are dropped and cells are trimmed. A leading byte order mark
+ * (Excel's "CSV UTF-8") is ignored.
+ */
+export function parseCSV(text) {
+  return parseDelimited(text.replace(/^\uFEFF/, ""), ",");
+}
+
+export function parseDelimited(text, separator) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== "")) rows.push(row);
+    row = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === separator) {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+}
@@ -0,0 +1,288 @@
+/**
+ * Fuzzy Matcher
+ *
+ * Ranked, diacritic-insensitive text matching shared by the Stimulus
+ * controllers (searchable-select uses it for option filtering).
+ *
+ * Every whitespace separated query token has to match a word of the text, in
+ * order of preference:
+ *   1. the whole word                          ("ali"   -> "Ali")
+ *   2. a known spelling variant of the word    ("mohd"  -> "Muhammad", "bin" -> "Binti")
+ *   3. the start of the word                   ("ahm"   -> "Ahmad")
+ *   4. somewhere inside the word               ("hmad"  -> "Ahmad")
+ *   5. the token's letters in order            ("ahmd"  -> "Ahmad")
+ * Accents are ignored on both sides ("jose" -> "José").
+ *
+ * Usage:
+ *   import { getMatcher, highlightMatches } from "lib/fuzzy_matcher";
+ *
+ *   const result = getMatcher("fuzzy").match("mohd ali", "Muhammad bin Ali");
+ *   // => { score: 199, ranges: [[0, 8], [13, 16]] }   (null when it doesn't match)
+ *   label.appendChild(highlightMatches("Muhammad bin Ali", result.ranges));
+ *
+ * Custom matchers only need a `match(query, text)` method returning the same
+ * shape and can be made available by name with `registerMatcher`.
+ */
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const TOKEN_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+// Common romanisation variants in Malaysian and Indonesian names, keyed by
+// the canonical spelling
+export const DEFAULT_ALIASES = {
+  muhammad: [
+    "mohd",
+    "muhd",
+    "md",
+    "mohamad",
+    "mohammad",
+    "mohamed",
+    "mohammed",
+    "muhamad",
+    "muhammed",
+  ],
+  bin: ["binti", "bt", "bte", "bn"],
+  abdul: ["abd"],
+  nur: ["noor", "nor", "nurul"],
+  ahmad: ["ahmed", "achmad"],
+  siti: ["sity"],
+};
+
+const SCORES = {
+  exact: 100,
+  alias: 90,
+  prefix: 70,
+  infix: 40,
+  subsequence: 20,
+  inOrderBonus: 10,
+  wordPositionPenalty: 0.5,
+};
+
+/**
+ * Lowercases and strips accents, keeping a map from each normalized character
+ * back to its index in the original text so hits can be highlighted.
+ */
+export function normalizeText(text) {
+  let normalized = "";
+  const map = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const folded = text[i]
+      .normalize("NFD")
+      .replace(COMBINING_MARKS, "")
+      .toLowerCase();
+    for (const char of folded) {
+      normalized += char;
+      map.push(i);
+    }
+  }
+
+  return { normalized, map };
+}
+
+function buildAliasIndex(aliases) {
+  const index = new Map();
+  Object.entries(aliases).forEach(([canonical, variants]) => {
+    index.set(canonical, canonical);
+    variants.forEach((variant) => index.set(variant, canonical));
+  });
+  return index;
+}
+
+function extractWords(normalized) {
+  return Array.from(normalized.matchAll(WORD_PATTERN), (match) => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// Positions of the token's characters appearing in order within the word
+function subsequencePositions(token, word) {
+  const positions = [];
+  let from = 0;
+
+  for (const char of token) {
+    const found = word.indexOf(char, from);
+    if (found === -1) return null;
+    positions.push(found);
+    from = found + 1;
+  }
+  return positions;
+}
+
+// Collapses overlapping or touching [start, end) ranges
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Builds a fuzzy matcher. `aliases` replaces DEFAULT_ALIASES, e.g. to add
+ * site specific nicknames.
+ */
+export function createFuzzyMatcher({ aliases = DEFAULT_ALIASES } = {}) {
+  const aliasIndex = buildAliasIndex(aliases);
+
+  function scoreWord(token, { word, start, end }) {
+    if (word === token) {
+      return { score: SCORES.exact, ranges: [[start, end]] };
+    }
+
+    const canonical = aliasIndex.get(token);
+    if (canonical && aliasIndex.get(word) === canonical) {
+      return { score: SCORES.alias, ranges: [[start, end]] };
+    }
+
+    if (word.startsWith(token)) {
+      return {
+        // Prefer words the token covers more of
+        score: SCORES.prefix + (20 * token.length) / word.length,
+        ranges: [[start, start + token.length]],
+      };
+    }
+
+    const infix = word.indexOf(token);
+    if (token.length >= 2 && infix > 0) {
+      return {
+        score: SCORES.infix,
+        ranges: [[start + infix, start + infix + token.length]],
+      };
+    }
+
+    // Subsequences of very short tokens match nearly everything
+    if (token.length >= 3 && word[0] === token[0]) {
+      const positions = subsequencePositions(token, word);
+      if (positions) {
+        const span = positions[positions.length - 1] - positions[0] + 1;
+        return {
+          score: (SCORES.subsequence * token.length) / span,
+          ranges: positions.map((pos) => [start + pos, start + pos + 1]),
+        };
+      }
+    }
+
+    return null;
+  }
+
+  function match(query, text) {
+    const tokens = normalizeText(query || "")
+      .normalized.split(TOKEN_SEPARATOR)
+      .filter(Boolean);
+    if (tokens.length === 0) return { score: 0, ranges: [] };
+
+    const { normalized, map } = normalizeText(text || "");
+    const words = extractWords(normalized);
+
+    let score = 0;
+    let ranges = [];
+    let previousWordIndex = -1;
+    let inOrder = true;
+
+    for (const token of tokens) {
+      let best = null;
+
+      words.forEach((word, wordIndex) => {
+        const hit = scoreWord(token, word);
+        if (!hit) return;
+
+        hit.score -= wordIndex * SCORES.wordPositionPenalty;
+        if (!best || hit.score > best.score) best = { ...hit, wordIndex };
+      });
+
+      if (!best) return null;
+
+      score += best.score;
+      ranges = ranges.concat(best.ranges);
+      if (best.wordIndex < previousWordIndex) inOrder = false;
+      previousWordIndex = best.wordIndex;
+    }
+
+    if (inOrder && tokens.length > 1) score += SCORES.inOrderBonus;
+
+    return {
+      score,
+      // Translate normalized positions back onto the original text
+      ranges: mergeRanges(ranges).map(([start, end]) => [
+        map[start],
+        map[end - 1] + 1,
+      ]),
+    };
+  }
+
+  return { match };
+}
+
+/**
+ * Plain accent-insensitive substring matching, for lists where fuzzy hits
+ * would be noise (codes, numbers).
+ */
+export const substringMatcher = {
+  match(query, text) {
+    const needle = normalizeText((query || "").trim()).normalized;
+    if (!needle) return { score: 0, ranges: [] };
+
+    const { normalized, map } = normalizeText(text || "");
+    const index = normalized.indexOf(needle);
+    if (index === -1) return null;
+
+    return {
+      score: 100 - index,
+      ranges: [[map[index], map[index + needle.length - 1] + 1]],
+    };
+  },
+};
+
+const registry = new Map([
+  ["fuzzy", createFuzzyMatcher()],
+  ["substring", substringMatcher],
+]);
+
+export function registerMatcher(name, matcher) {
+  registry.set(name, matcher);
+}
+
+// Falls back to the fuzzy matcher for unknown names
+export function getMatcher(name = "fuzzy") {
+  return registry.get(name) || registry.get("fuzzy");
+}
+
+/**
+ * Returns a DocumentFragment of `text` with the given ranges wrapped in
+ * <mark> elements. Text is inserted as text nodes, never as HTML.
+ */
+export function highlightMatches(
+  text,
+  ranges = [],
+  className = "searchable-select-match"
+) {
+  const fragment = document.createDocumentFragment();
+  let cursor = 0;
+
+  mergeRanges(ranges).forEach(([start, end]) => {
+    if (start > cursor) {
+      fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+    }
+    const mark = document.createElement("mark");
+    mark.className = className;
+    mark.textContent = text.slice(start, end);
+    fragment.appendChild(mark);
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(cursor)));
+  }
+  return fragment;
+}
@@ -0,0 +1,20 @@
+import { parseDelimited } from "lib/csv_parser";
+
+/**
+ * TSV Parser
+ *
+ * Parses tab separated text as copied from Excel or Google Sheets into an
+ * array of rows (arrays of cell strings), with the same quoting rules as
+ * lib/csv_parser.js.
+ *
+ * Usage:
+ *   import { parseTSV } from "lib/tsv_parser";
+ *
+ *   parseTSV('Ali\t8\t\nSiti\t7.5\t"late, ""rain"""\n');
+ *   // => [["Ali", "8", ""], ["Siti", "7.5", 'late, "rain"']]
+ *
+ * Blank lines are dropped and cells are trimmed.
+ */
+export function parseTSV(text) {
+  return parseDelimited(text, "\t");
+}
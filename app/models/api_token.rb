@@ -0,0 +1,75 @@
+# frozen_string_literal: true
+
+# A token for the read-only JSON API (Api::V1). Requests made with it act as
+# its user, so they see what the user's role permits. Only a digest is stored:
+# the token itself is readable right after creation and never again.
+#
+# Usage:
+#   api_token = user.api_tokens.create!(name: 'Power BI refresh')
+#   api_token.token # => "3f9c...", to hand over once
+#   ApiToken.authenticate(token) # => api_token
+class ApiToken < ApplicationRecord
+  belongs_to :user
+
+  validates :name, presence: true, length: { maximum: 255 }
+  validates :token_digest, presence: true, uniqueness: true
+
+  scope :active, -> { where(expires_at: nil).or(where(expires_at: Time.current..)) }
+
+  before_validation :generate_token, on: :create
+
+  # The token in clear, only set on the instance that created it
+  attr_reader :token
+
+  def self.digest(token)
+    OpenSSL::Digest::SHA256.hexdigest(token.to_s)
+  end
+
+  # The active token matching the given one, if its user may still sign in.
+  # Records when it was used.
+  def self.authenticate(token)
+    return if token.blank?
+
+    api_token = active.find_by(token_digest: digest(token))
+    return unless api_token&.user&.active_for_authentication?
+
+    api_token.update_column(:last_used_at, Time.current)
+    api_token
+  end
+
+  def expired?
+    expires_at.present? && expires_at.past?
+  end
+
+  private
+
+  def generate_token
+    @token = SecureRandom.hex(32)
+    self.token_digest = self.class.digest(@token)
+  end
+end
+
+# == Schema Information
+#
+# Table name: api_tokens
+#
+#  id           :bigint           not null, primary key
+#  discarded_at :datetime
+#  expires_at   :datetime
+#  last_used_at :datetime
+#  name         :string           not null
+#  token_digest :string           not null
+#  created_at   :datetime         not null
+#  updated_at   :datetime         not null
+#  user_id      :bigint           not null
+#
+# Indexes
+#
+#  index_api_tokens_on_discarded_at  (discarded_at)
+#  index_api_tokens_on_token_digest  (token_digest) UNIQUE
+#  index_api_tokens_on_user_id       (user_id)
+#
+# Foreign Keys
+#
+#  fk_rails_...  (user_id => users.id)
+#
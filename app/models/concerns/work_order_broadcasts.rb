@@ -0,0 +1,24 @@
+# frozen_string_literal: true
+
+# Concern for live updates of work order pages
+# Open dashboards and work order lists subscribe to BROADCAST_STREAM
+# (shared/_work_order_live_updates) and refresh themselves, with morphing,
+# whenever a work order changes status. Each page re-renders for its own user,
+# so policies and filters still apply.
+module WorkOrderBroadcasts
+  extend ActiveSupport::Concern
+
+  BROADCAST_STREAM = 'work_orders'
+
+  included do
+    after_update_commit :broadcast_status_change, if: :saved_change_to_work_order_status?
+  end
+
+  private
+
+  # Turbo debounces refreshes in the browser, so a batch of approvals
+  # reloads each page once
+  def broadcast_status_change
+    broadcast_refresh_to(BROADCAST_STREAM)
+  end
+end
@@ -11,13 +11,31 @@ module WorkOrderGuardMessages
     workers: 'Cannot submit work order: Please add at least one worker before submitting.',
     items: 'Cannot submit work order: Please add at least one item/resource before submitting.',
     workers_or_items: 'Cannot submit work order: Please add at least one worker or item before submitting.',
+    rate_overrides: 'Cannot submit work order: Please give a reason for every worker rate that differs ' \
+                    'from the standard rate.',
+    stock: 'Cannot submit work order: Not enough stock for %<details>s.',
+    line_comments: 'Cannot submit work order: Please mark every amendment comment as resolved.',
     default: 'Cannot submit work order: Required information is missing.'
   }.freeze
 
   # Generate user-friendly error message when guard fails
   # @return [String] Human-readable error message based on work order type
   def guard_failure_message
+    if has_required_associations?
+      return GUARD_FAILURE_MESSAGES[:rate_overrides] unless rate_overrides_justified?
+      return stock_shortfall_message unless stock_available?
+      return GUARD_FAILURE_MESSAGES[:line_comments] unless line_comments_resolved?
+    end
+
     requirement_type = required_associations.first || :default
     GUARD_FAILURE_MESSAGES[requirement_type] || GUARD_FAILURE_MESSAGES[:default]
   end
+
+  # e.g. "Not enough stock for Urea (12 used, 10 in stock)"
+  def stock_shortfall_message
+    details = stock_shortfalls.map do |shortfall|
+      "#{shortfall[:name]} (#{shortfall[:used]} used, #{shortfall[:available]} in stock)"
+    end
+    format(GUARD_FAILURE_MESSAGES[:stock], details: details.to_sentence)
+  end
 end
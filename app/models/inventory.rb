@@ -26,6 +26,31 @@ class Inventory < ApplicationRecord
   def total_stock
     inventory_orders.sum(:quantity)
   end
+
+  # Stock on hand per inventory id: quantities ordered minus the amounts used
+  # on submitted work orders. Ongoing (draft) work orders don't consume stock
+  # until they are submitted, which is when WorkOrder#stock_available? checks
+  # them. Pass the work order being edited to leave out its own usage, which
+  # the form is about to replace.
+  #   Inventory.stock_levels([1, 2]) # => { 1 => 120, 2 => -5 }
+  def self.stock_levels(ids = nil, excluding_work_order_id: nil)
+    ordered = InventoryOrder.all
+    used = WorkOrderItem.joins(:work_order)
+                        .merge(WorkOrder.kept.where.not(work_order_status: WorkOrder::STATUSES[:ongoing]))
+    used = used.where.not(work_order_id: excluding_work_order_id) if excluding_work_order_id.present?
+    if ids
+      ordered = ordered.where(inventory_id: ids)
+      used = used.where(inventory_id: ids)
+    end
+
+    ordered = ordered.group(:inventory_id).sum(:quantity)
+    used = used.group(:inventory_id).sum(:amount_used)
+    (ordered.keys | used.keys).index_with { |id| ordered.fetch(id, 0) - used.fetch(id, 0) }
+  end
+
+  def stock_on_hand(excluding_work_order_id: nil)
+    self.class.stock_levels([id], excluding_work_order_id: excluding_work_order_id).fetch(id, 0)
+  end
 end
 
 # == Schema Information
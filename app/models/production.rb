@@ -20,7 +20,8 @@ class Production < ApplicationRecord
 
   # Ransack configuration
   def self.ransackable_attributes(_auth_object = nil)
-    %w[id date ticket_estate_no ticket_mill_no total_bunches total_weight_ton discarded_at created_at updated_at]
+    %w[id date ticket_estate_no ticket_mill_no total_bunches total_weight_ton block_id mill_id discarded_at created_at
+       updated_at]
   end
 
   def self.ransackable_associations(_auth_object = nil)
@@ -7,6 +7,8 @@ class User < ApplicationRecord
          :recoverable, :rememberable, :validatable, :trackable
 
   belongs_to :role, optional: true
+  # Tokens for the read-only JSON API (Api::V1); requests act as this user
+  has_many :api_tokens, dependent: :destroy
 
   validates :name, presence: true
 
@@ -5,6 +5,7 @@ class WorkOrder < ApplicationRecord
   include Denormalizable
   include WorkOrderTypeBehavior
   include WorkOrderGuardMessages
+  include WorkOrderBroadcasts
   include CascadingSoftDelete
 
   # Status constants
@@ -32,13 +33,16 @@ class WorkOrder < ApplicationRecord
   has_many :work_order_workers, dependent: :destroy
   has_many :work_order_items, dependent: :destroy
   has_many :work_order_histories, dependent: :destroy
+  has_many :line_comments, class_name: 'WorkOrderLineComment', dependent: :destroy
 
   # Cascade soft delete to direct dependent associations for performance
-  cascade_soft_delete :work_order_items, :work_order_workers, :work_order_histories
+  cascade_soft_delete :work_order_items, :work_order_workers, :work_order_histories, :line_comments
 
   # Nested attributes for dynamic form
   accepts_nested_attributes_for :work_order_workers, allow_destroy: true, reject_if: :all_blank
   accepts_nested_attributes_for :work_order_items, allow_destroy: true, reject_if: :all_blank
+  # Only ticking amendment comments off as resolved; see WorkOrderLineComment
+  accepts_nested_attributes_for :line_comments, reject_if: ->(attributes) { attributes['id'].blank? }
 
   # Type-based validations using custom validator (Single Responsibility Principle)
   validates_with WorkOrderTypeValidator
@@ -95,12 +99,76 @@ class WorkOrder < ApplicationRecord
     %w[block work_order_rate field_conductor vehicle work_order_workers work_order_items work_order_histories]
   end
 
+  # Most recent completed work order for the same block and rate, used to
+  # prefill a new work order with last time's workers and resources.
+  # Resources type work orders have no block, so a blank block_id matches those.
+  def self.latest_completed_for(block_id:, work_order_rate_id:)
+    kept.completed
+        .where(block_id: block_id.presence, work_order_rate_id: work_order_rate_id)
+        .order(arel_table[:completion_date].desc.nulls_last, id: :desc)
+        .first
+  end
+
+  # Number of work orders per status (zero for statuses without any), as shown
+  # by the dashboard counters
+  # @return [Hash{Symbol => Integer}] e.g. { ongoing: 3, pending: 5, amendment_required: 0, completed: 12 }
+  def self.status_counts
+    counts = group(:work_order_status).count.transform_keys(&:to_sym)
+    STATUSES.keys.index_with { |status| counts.fetch(status, 0) }
+  end
+
   # Guard method for AASM transitions - delegates to concern
   # Follows Single Responsibility and Open/Closed Principles
   def workers_or_items?
     has_required_associations?
   end
 
+  # Guard method for AASM transitions - work days rates outside the tolerance
+  # need a reason before the work order goes for approval
+  def rate_overrides_justified?
+    work_order_workers.reject(&:marked_for_destruction?).none?(&:rate_override_unjustified?)
+  end
+
+  # Guard method for AASM transitions - resources can't be used beyond what is
+  # in stock, so inventory never silently goes negative. The transition runs
+  # in a transaction, so the inventory rows stay locked until this submission
+  # is saved: a concurrent one using the same stock waits, then sees it.
+  def stock_available?
+    stock_shortfalls(lock: true).empty?
+  end
+
+  # Guard method for AASM transitions - every row comment from the amendment
+  # request has to be ticked off before resubmitting
+  def line_comments_resolved?
+    open_line_comments.none?
+  end
+
+  # Unresolved comments from the latest amendment request
+  def open_line_comments
+    latest_amendment_history&.line_comments&.unresolved || WorkOrderLineComment.none
+  end
+
+  # Resources on this work order that use more than the stock on hand (not
+  # counting this work order's own usage)
+  # @param lock [Boolean] lock the inventory rows first (SELECT ... FOR UPDATE)
+  # @return [Array<Hash>] name, used and available per short inventory
+  def stock_shortfalls(lock: false)
+    items = work_order_items.reject(&:marked_for_destruction?).select(&:inventory_id)
+    return [] if items.empty?
+
+    used = items.group_by(&:inventory_id).transform_values { |group| group.sum { |item| item.amount_used.to_i } }
+    Inventory.where(id: used.keys).order(:id).lock.pluck(:id) if lock
+    stock = Inventory.stock_levels(used.keys, excluding_work_order_id: id)
+
+    used.filter_map do |inventory_id, amount|
+      available = stock.fetch(inventory_id, 0)
+      next if amount <= available
+
+      name = items.find { |item| item.inventory_id == inventory_id }.item_name
+      { name: name, used: amount, available: available }
+    end
+  end
+
   # AASM State Machine Configuration with string column
   aasm column: :work_order_status do
     state :ongoing, initial: true
@@ -110,7 +178,8 @@ class WorkOrder < ApplicationRecord
 
     # Transitions
     event :mark_complete do
-      transitions from: :ongoing, to: :pending, guard: :workers_or_items? do
+      transitions from: :ongoing, to: :pending,
+                  guards: %i[workers_or_items? rate_overrides_justified? stock_available?] do
         after do |*args|
           remarks = args.last.is_a?(Hash) ? args.last[:remarks] : nil
           record_work_order_history(:mark_complete, remarks, 'Work order submitted for approval')
@@ -138,7 +207,9 @@ class WorkOrder < ApplicationRecord
     end
 
     event :reopen do
-      transitions from: :amendment_required, to: :pending, guard: :workers_or_items? do
+      transitions from: :amendment_required, to: :pending,
+                  guards: %i[workers_or_items? rate_overrides_justified? stock_available?
+                             line_comments_resolved?] do
         after do |*args|
           remarks = args.last.is_a?(Hash) ? args.last[:remarks] : nil
           record_work_order_history(:reopen, remarks, 'Work order resubmitted after amendments')
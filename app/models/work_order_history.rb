@@ -5,6 +5,8 @@ class WorkOrderHistory < ApplicationRecord
 
   belongs_to :work_order
   belongs_to :user, optional: true
+  # Row-level comments made with an amendment request
+  has_many :line_comments, class_name: 'WorkOrderLineComment', dependent: :destroy
 
   validates :work_order_id, presence: true
   validates :from_state, :to_state, presence: true
@@ -13,11 +15,16 @@ class WorkOrderHistory < ApplicationRecord
   # Denormalize user name to avoid JOINs when displaying history
   denormalize :user_name, from: :user, attribute: :name
 
+  # Events that send the work order for approval; these keep a snapshot of its rows
+  SUBMISSION_ACTIONS = %w[mark_complete reopen].freeze
+
   scope :recent, -> { order(created_at: :desc) }
   scope :for_work_order, ->(work_order_id) { where(work_order_id: work_order_id).recent }
   # Histories that indicate the work order moved to amendment_required
   scope :amendments, -> { where(to_state: 'amendment_required') }
   scope :since, ->(time) { where('created_at >= ?', time).recent }
+  # Histories where the work order was sent for approval (first time or after amendments)
+  scope :submissions, -> { where(action: SUBMISSION_ACTIONS) }
 
   # Simplified transition recording - derives states from AASM
   def self.record_transition(work_order:, event_name:, user: nil, remarks: nil)
@@ -28,7 +35,7 @@ class WorkOrderHistory < ApplicationRecord
       action: event_name.to_s,
       user: user,
       remarks: remarks,
-      transition_details: build_transition_details(work_order)
+      transition_details: build_transition_details(work_order, event_name)
     )
   end
 
@@ -36,17 +43,53 @@ class WorkOrderHistory < ApplicationRecord
     "#{from_state&.titleize} → #{to_state&.titleize}"
   end
 
+  # Workers and items as submitted, or nil for histories recorded before
+  # snapshots were kept or for events that aren't submissions
+  # @return [Hash, nil] { 'workers' => [...], 'items' => [...] }
+  def snapshot
+    transition_details&.dig('snapshot')
+  end
+
   # Extract relevant data from work order for audit trail
-  def self.build_transition_details(work_order)
-    {
+  def self.build_transition_details(work_order, event_name = nil)
+    details = {
       workers_count: work_order.work_order_workers.count,
       items_count: work_order.work_order_items.count,
       block_number: work_order.block_number,
       work_order_rate_name: work_order.work_order_rate_name
     }
+    details[:snapshot] = build_snapshot(work_order) if SUBMISSION_ACTIONS.include?(event_name.to_s)
+    details
   end
   private_class_method :build_transition_details
 
+  # Rows as saved at submission time, compared by WorkOrderServices::SubmissionDiffService.
+  # Decimals are kept as strings so they round-trip through jsonb exactly.
+  def self.build_snapshot(work_order)
+    {
+      workers: work_order.work_order_workers.order(:id).map do |row|
+        {
+          worker_id: row.worker_id,
+          worker_name: row.worker_name,
+          work_area_size: row.work_area_size&.to_s,
+          work_days: row.work_days,
+          rate: row.rate&.to_s,
+          amount: row.amount&.to_s,
+          remarks: row.remarks
+        }
+      end,
+      items: work_order.work_order_items.order(:id).map do |row|
+        {
+          inventory_id: row.inventory_id,
+          item_name: row.item_name,
+          unit_name: row.unit_name,
+          amount_used: row.amount_used
+        }
+      end
+    }
+  end
+  private_class_method :build_snapshot
+
   # Return the most recent amendment WorkOrderHistory for a work order
   def self.latest_amendment_for(work_order_or_id)
     id = work_order_or_id.respond_to?(:id) ? work_order_or_id.id : work_order_or_id
@@ -0,0 +1,80 @@
+# frozen_string_literal: true
+
+# An approver's comment on one worker or resource row, made with an amendment
+# request. The field conductor sees it next to the row when reopening the work
+# order and has to mark it resolved before resubmitting (WorkOrder#line_comments_resolved?).
+class WorkOrderLineComment < ApplicationRecord
+  # Row types the approval page sends, and the work order association they live in
+  ROW_TYPES = {
+    'worker' => :work_order_workers,
+    'item' => :work_order_items
+  }.freeze
+
+  belongs_to :work_order
+  belongs_to :work_order_history
+  # The row may have been removed from the work order since
+  belongs_to :commentable, polymorphic: true, optional: true
+  belongs_to :resolved_by, class_name: 'User', optional: true
+
+  validates :body, presence: true, length: { maximum: 500 }
+
+  scope :unresolved, -> { where(resolved_at: nil) }
+
+  # Set through the work order form's nested attributes ("1" ticks it off,
+  # "0" reopens it)
+  attribute :resolved, :boolean
+  before_save :apply_resolved, unless: -> { resolved.nil? }
+
+  def resolved?
+    resolved_at.present?
+  end
+
+  # "worker" / "item", as used by the approval page and the work order form
+  def row_type
+    ROW_TYPES.key(commentable_type.underscore.pluralize.to_sym)
+  end
+
+  private
+
+  def apply_resolved
+    if resolved && resolved_at.nil?
+      self.resolved_at = Time.current
+      self.resolved_by = Current.user
+    elsif !resolved
+      self.resolved_at = nil
+      self.resolved_by = nil
+    end
+  end
+end
+
+# == Schema Information
+#
+# Table name: work_order_line_comments
+#
+#  id                    :bigint           not null, primary key
+#  body                  :text             not null
+#  commentable_type      :string           not null
+#  discarded_at          :datetime
+#  resolved_at           :datetime
+#  row_name              :string
+#  created_at            :datetime         not null
+#  updated_at            :datetime         not null
+#  commentable_id        :bigint           not null
+#  resolved_by_id        :bigint
+#  work_order_history_id :bigint           not null
+#  work_order_id         :bigint           not null
+#
+# Indexes
+#
+#  index_work_order_line_comments_on_commentable            (commentable_type,commentable_id)
+#  index_work_order_line_comments_on_discarded_at           (discarded_at)
+#  index_work_order_line_comments_on_resolved_by_id         (resolved_by_id)
+#  index_work_order_line_comments_on_work_order_history_id  (work_order_history_id)
+#  index_work_order_line_comments_on_work_order_id          (work_order_id)
+#
+# Foreign Keys
+#
+#  fk_rails_...  (resolved_by_id => users.id)
+#  fk_rails_...  (work_order_history_id => work_order_histories.id)
+#  fk_rails_...  (work_order_id => work_orders.id)
+#
@@ -13,17 +13,61 @@ class WorkOrderWorker < ApplicationRecord
   denormalize :worker_name, from: :worker, attribute: :name
 
   before_save :calculate_amount
+  before_save :clear_rate_override_reason, unless: :rate_deviates?
+
+  # Percentage a work days rate may differ from the standard rate before it
+  # needs a rate_override_reason (config.x.work_orders.rate_tolerance_percent)
+  def self.rate_tolerance_percent
+    Rails.application.config.x.work_orders.rate_tolerance_percent || 10
+  end
 
   def self.ransackable_attributes(_auth_object = nil)
-    %w[id amount rate remarks work_area_size work_days worker_name created_at updated_at work_order_id worker_id]
+    %w[id amount rate rate_override_reason remarks work_area_size work_days worker_name created_at updated_at
+       work_order_id worker_id]
   end
 
   def self.ransackable_associations(_auth_object = nil)
     %w[work_order worker]
   end
 
+  # Standard rate of the work order: the price denormalized when it was saved,
+  # or the newly picked rate's price (denormalized only after validation).
+  # work_order_form_controller.js#standardRate mirrors this.
+  def standard_rate
+    return if work_order.nil?
+    return work_order.work_order_rate&.rate if work_order.work_order_rate_id_changed?
+
+    work_order.work_order_rate_price || work_order.work_order_rate&.rate
+  end
+
+  # Signed difference from the standard rate in percent, nil when there's
+  # nothing to compare
+  def rate_deviation_percent
+    return if rate.nil? || standard_rate.blank? || standard_rate.zero?
+
+    ((rate - standard_rate) / standard_rate * 100).round(1)
+  end
+
+  # Only work days orders take a per-worker rate; other types always use the
+  # standard rate
+  def rate_deviates?
+    return false unless work_order&.work_order_rate&.work_days?
+
+    deviation = rate_deviation_percent
+    deviation.present? && deviation.abs > self.class.rate_tolerance_percent
+  end
+
+  def rate_override_unjustified?
+    rate_deviates? && rate_override_reason.blank?
+  end
+
   private
 
+  # A reason left over from an earlier rate no longer applies
+  def clear_rate_override_reason
+    self.rate_override_reason = nil
+  end
+
   def calculate_amount
     # Calculate based on work_order_rate_type
     # Use enum predicate method for rate type checking
@@ -46,6 +90,7 @@ end
 #  amount         :decimal(10, 2)
 #  created_at     :datetime         not null
 #  rate           :decimal(10, 2)
+#  rate_override_reason :text
 #  remarks        :text
 #  updated_at     :datetime         not null
 #  work_area_size :decimal(10, 3)
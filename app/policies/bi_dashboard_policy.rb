@@ -0,0 +1,17 @@
+# frozen_string_literal: true
+
+class BiDashboardPolicy < ApplicationPolicy
+  # Permission codes: bi_dashboard.index
+
+  private
+
+  def permission_resource
+    'bi_dashboard'
+  end
+
+  class Scope < ApplicationPolicy::Scope
+    def resolve
+      scope
+    end
+  end
+end
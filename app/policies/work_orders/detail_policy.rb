@@ -39,6 +39,13 @@ module WorkOrders
       destroy?
     end
 
+    # Option lookups (workers, inventories) used by the work order form's
+    # searchable selects. Anyone who can fill in the form may query them.
+    def options?
+      user.has_permission?(build_permission_code('create')) ||
+        user.has_permission?(build_permission_code('update'))
+    end
+
     private
 
     def permission_resource
@@ -0,0 +1,124 @@
+# frozen_string_literal: true
+
+module AnalyticsServices
+  # ChartDataService - Monthly aggregates behind the analytics dashboard charts
+  #
+  # Each chart covers the last `months` months, this one included, with one
+  # value per month and series, in the shape analytics_chart_controller.js draws.
+  #
+  # Usage:
+  #   result = AnalyticsServices::ChartDataService.new('payroll', months: 6).call
+  #   result.value!
+  #   # => { chart: 'payroll', type: 'line', unit: 'RM', labels: ['Nov 2025', ..., 'Apr 2026'],
+  #   #      series: [{ name: 'Gross salary', values: [1200.0, ...] }, ...] }
+  class ChartDataService
+    include Dry::Monads[:result]
+    include MonthlyGrouping
+
+    CHARTS = {
+      'production' => { type: 'bar', unit: 't' },
+      'labour_cost' => { type: 'bar', unit: 'RM' },
+      'throughput' => { type: 'bar', unit: 'work orders' },
+      'payroll' => { type: 'line', unit: 'RM' }
+    }.freeze
+
+    DEFAULT_MONTHS = 12
+    MAX_MONTHS = 36
+
+    # Blocks beyond the biggest producers are added up as "Other blocks"
+    MAX_BLOCKS = 8
+
+    PAYROLL_TOTALS = {
+      'Gross salary' => :total_gross_salary,
+      'Deductions' => :total_deductions,
+      'Net salary' => :total_net_salary
+    }.freeze
+
+    attr_reader :chart, :months
+
+    def initialize(chart, months: nil)
+      @chart = chart.to_s
+      @months = (months.presence || DEFAULT_MONTHS).to_i.clamp(1, MAX_MONTHS)
+    end
+
+    def call
+      config = CHARTS[chart]
+      return Failure("Unknown chart: #{chart}.") unless config
+
+      Success(
+        chart: chart,
+        type: config[:type],
+        unit: config[:unit],
+        labels: month_starts.map { |month| month.strftime('%b %Y') },
+        series: send(:"#{chart}_series")
+      )
+    end
+
+    private
+
+    # Tonnes weighed per block
+    def production_series
+      totals = Production.joins(:block).where(date: period)
+                         .group('blocks.block_number', month_of('productions.date'))
+                         .sum(:total_weight_ton)
+      series = series_from(totals)
+      return series if series.size <= MAX_BLOCKS
+
+      biggest = series.max_by(MAX_BLOCKS) { |entry| entry[:values].sum }
+      others = (series - biggest).map { |entry| entry[:values] }.transpose.map(&:sum)
+      biggest + [{ name: 'Other blocks', values: others }]
+    end
+
+    # Worker pay on approved work orders, by the month they were completed
+    def labour_cost_series
+      totals = WorkOrderWorker.joins(:work_order)
+                              .merge(WorkOrder.where(work_order_status: WorkOrder::STATUSES[:completed],
+                                                     completion_date: period))
+                              .group('work_orders.work_order_rate_type', month_of('work_orders.completion_date'))
+                              .sum(:amount)
+      series_from(totals, names: WorkOrderRate.work_order_rate_types.keys) { |type| type.to_s.humanize }
+    end
+
+    # Work orders opened each month, by where they stand now
+    def throughput_series
+      totals = WorkOrder.where(created_at: period.first.beginning_of_day..period.last.end_of_day)
+                        .group(:work_order_status, month_of('work_orders.created_at'))
+                        .count
+      series_from(totals, names: WorkOrder::STATUSES.values) do |status|
+        status == WorkOrder::STATUSES[:pending] ? 'Pending approval' : status.to_s.humanize
+      end
+    end
+
+    def payroll_series
+      key_format = PayCalculationServices::ProcessWorkOrderService::MONTH_YEAR_FORMAT
+      keys = month_starts.map { |month| month.strftime(key_format) }
+      calculations = PayCalculation.where(month_year: keys).index_by(&:month_year)
+
+      PAYROLL_TOTALS.map do |name, column|
+        { name: name, values: keys.map { |key| calculations[key]&.public_send(column).to_f } }
+      end
+    end
+
+    def month_starts
+      @month_starts ||= (1 - months..0).map { |offset| Date.current.beginning_of_month.advance(months: offset) }
+    end
+
+    def period
+      month_starts.first..Date.current.end_of_month
+    end
+
+    # { [name, month] => total } to [{ name:, values: [one per month] }].
+    # `names` lists series to show even without data, in that order.
+    def series_from(totals, names: [])
+      by_name = totals.each_with_object(Hash.new { |hash, key| hash[key] = {} }) do |((name, month), total), grouped|
+        grouped[name][month.to_date] = total
+      end
+
+      (names | by_name.keys).map do |name|
+        values = month_starts.map { |month| by_name.fetch(name, {}).fetch(month, 0).to_f }
+        label = block_given? ? yield(name) : name.to_s
+        { name: label.presence || 'Unknown', values: values }
+      end
+    end
+  end
+end
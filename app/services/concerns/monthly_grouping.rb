@@ -0,0 +1,16 @@
+# frozen_string_literal: true
+
+# Module for grouping queries by calendar month
+# Shared by the services that total records per month for charts and reports
+module MonthlyGrouping
+  extend ActiveSupport::Concern
+
+  private
+
+  # SQL expression for the first day of the month of a date or timestamp column
+  # @param column [String] The qualified column name, e.g. 'productions.date'
+  # @return [Arel::Nodes::SqlLiteral] Usable in group / pluck, gives a Date
+  def month_of(column)
+    Arel.sql("DATE_TRUNC('month', #{column})::date")
+  end
+end
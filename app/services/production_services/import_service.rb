@@ -0,0 +1,151 @@
+# frozen_string_literal: true
+
+module ProductionServices
+  # ImportService - Saves weighbridge ticket rows imported from a CSV file
+  #
+  # The browser previews the file first (production_import_controller.js), but
+  # every row is checked again here: its block and mill must exist, its tickets
+  # must not be recorded yet and the production must be valid. The rows that
+  # pass are saved in one transaction; the others come back with their
+  # problems for the error report. Only kept blocks and mills are offered, as
+  # on the production form.
+  #
+  # A ticket is a duplicate when its estate ticket number is already recorded,
+  # or its mill ticket number is already recorded for the same mill. Imports
+  # take turns on an advisory lock, so two files sent at once can't both pass
+  # the check with the same ticket; other production writes are not held up.
+  #
+  # Usage:
+  #   rows = [{ line: 2, date: '2026-01-31', block_number: 'A-001', mill: 'Mill A', ticket_estate_no: 'E-1',
+  #             ticket_mill_no: 'M-1', total_bunches: '120', total_weight_ton: '2.45' }]
+  #   result = ProductionServices::ImportService.new(rows).call
+  #   result.value! # => { imported: 1, rejected: [] }
+  #   # rejected: [{ line: 3, errors: ['Block "Z-9" was not found'] }]
+  class ImportService
+    include Dry::Monads[:result]
+
+    MAX_ROWS = 1000
+
+    # Key of the transaction-level advisory lock imports take turns on
+    LOCK_KEY = 'production_services/import'
+
+    attr_reader :rows
+
+    # Tickets among the given ones that are already recorded, for the preview:
+    #   { ticket_estate_nos: ['E-1'], ticket_mill_nos: [['Mill A', 'M-1']] }
+    def self.existing_tickets(ticket_estate_nos:, ticket_mill_nos:)
+      {
+        ticket_estate_nos: Production.where(ticket_estate_no: ticket_estate_nos).distinct.pluck(:ticket_estate_no),
+        ticket_mill_nos: Production.joins(:mill).where(ticket_mill_no: ticket_mill_nos).distinct
+                                   .pluck('mills.name', :ticket_mill_no)
+      }
+    end
+
+    def initialize(rows)
+      @rows = rows.map { |row| row.to_h.symbolize_keys }
+    end
+
+    def call
+      return Failure('There are no rows to import.') if rows.empty?
+      return Failure("Please import at most #{MAX_ROWS} rows at a time.") if rows.size > MAX_ROWS
+
+      Production.transaction do
+        lock_productions
+        productions, rejected = check_rows
+        productions.each(&:save!)
+
+        Success(imported: productions.size, rejected: rejected)
+      end
+    rescue ActiveRecord::RecordInvalid => e
+      Failure("Nothing was imported: #{e.message}")
+    end
+
+    private
+
+    # Released when the transaction ends
+    def lock_productions
+      Production.connection.execute(
+        Production.sanitize_sql_array(['SELECT pg_advisory_xact_lock(hashtext(?))', LOCK_KEY])
+      )
+    end
+
+    # [valid productions, [{ line:, errors: }]]
+    def check_rows
+      seen_estate_nos = Set.new
+      seen_mill_nos = Set.new
+
+      rows.each_with_index.each_with_object([[], []]) do |(row, index), (productions, rejected)|
+        line = row[:line].presence || (index + 2)
+        production, errors = build_production(row)
+        errors += duplicate_errors(production, seen_estate_nos, seen_mill_nos)
+        errors += production.errors.full_messages unless errors.any? || production.valid?
+
+        seen_estate_nos << production.ticket_estate_no
+        seen_mill_nos << [production.mill_id, production.ticket_mill_no]
+        errors.any? ? rejected << { line: line, errors: errors } : productions << production
+      end
+    end
+
+    def build_production(row)
+      errors = []
+      block = blocks[normalize(row[:block_number])]
+      mill = mills[normalize(row[:mill])]
+      errors << %(Block "#{row[:block_number]}" was not found) unless block
+      errors << %(Mill "#{row[:mill]}" was not found) unless mill
+
+      date = parse_date(row[:date])
+      errors << %(Date "#{row[:date]}" is not a valid date) unless date
+
+      production = Production.new(
+        date: date, block: block, mill: mill,
+        ticket_estate_no: row[:ticket_estate_no].to_s.strip, ticket_mill_no: row[:ticket_mill_no].to_s.strip,
+        total_bunches: row[:total_bunches], total_weight_ton: row[:total_weight_ton]
+      )
+      [production, errors]
+    end
+
+    def duplicate_errors(production, seen_estate_nos, seen_mill_nos)
+      estate_no = production.ticket_estate_no
+      mill_no = production.ticket_mill_no
+      errors = []
+
+      if estate_no.present?
+        errors << "Ticket estate no. #{estate_no} is already recorded" if existing[:estate_nos].include?(estate_no)
+        errors << "Ticket estate no. #{estate_no} is repeated in the file" if seen_estate_nos.include?(estate_no)
+      end
+      if mill_no.present? && production.mill
+        key = [production.mill_id, mill_no]
+        errors << "Ticket mill no. #{mill_no} is already recorded for this mill" if existing[:mill_nos].include?(key)
+        errors << "Ticket mill no. #{mill_no} is repeated in the file" if seen_mill_nos.include?(key)
+      end
+      errors
+    end
+
+    def existing
+      @existing ||= {
+        estate_nos: Production.where(ticket_estate_no: rows.map { |row| row[:ticket_estate_no].to_s.strip })
+                              .pluck(:ticket_estate_no).to_set,
+        mill_nos: Production.where(ticket_mill_no: rows.map { |row| row[:ticket_mill_no].to_s.strip })
+                            .pluck(:mill_id, :ticket_mill_no).to_set
+      }
+    end
+
+    def blocks
+      @blocks ||= Block.kept.index_by { |block| normalize(block.block_number) }
+    end
+
+    def mills
+      @mills ||= Mill.kept.index_by { |mill| normalize(mill.name) }
+    end
+
+    def normalize(value)
+      value.to_s.strip.downcase
+    end
+
+    def parse_date(value)
+      Date.iso8601(value.to_s)
+    rescue Date::Error
+      nil
+    end
+  end
+end
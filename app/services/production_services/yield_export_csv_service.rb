@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+module ProductionServices
+  # CSV Exporter for the block yield report
+  #
+  # Records are YieldReportService block rows: one line per block with its
+  # yields over the period, then its tonnes per hectare for each month.
+  class YieldExportCsvService < Exporters::CsvExporter
+    HEADERS = [
+      'Block No.', 'Hectarage', 'Total Weight (Ton)', 'Total Bunches', 'Tons/Ha',
+      'Avg Bunch Weight (kg)', '% of Estate Tons/Ha', 'Under-performing'
+    ].freeze
+
+    protected
+
+    def resource_name
+      'block-yield'
+    end
+
+    def headers
+      HEADERS + months.map { |month| "#{month.strftime('%b %Y')} (Tons/Ha)" }
+    end
+
+    def row_data(block)
+      [
+        safe_value(block[:block_number]),
+        format_decimal(block[:hectarage]),
+        format_decimal(block[:weight]),
+        block[:bunches],
+        format_decimal(block[:tons_per_hectare], 3),
+        format_decimal(block[:avg_bunch_weight_kg]),
+        block[:vs_estate] && format_decimal(block[:vs_estate] * 100, 1),
+        block[:under_performing] ? 'Yes' : 'No'
+      ] + block[:monthly].map { |entry| format_decimal(entry[:tons_per_hectare], 3) }
+    end
+
+    private
+
+    # Every row of a report covers the same months
+    def months
+      @records.first.to_h.fetch(:monthly, []).pluck(:month)
+    end
+  end
+end
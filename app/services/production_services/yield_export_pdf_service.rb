@@ -0,0 +1,24 @@
+# frozen_string_literal: true
+
+module ProductionServices
+  # PDF Exporter for the block yield report
+  class YieldExportPdfService < Exporters::PdfExporter
+    protected
+
+    def resource_name
+      'block-yield'
+    end
+
+    def template_path
+      'yield_reports/show'
+    end
+
+    def template_locals
+      {
+        report: @extra_locals[:report],
+        params: @params,
+        filter_data: @extra_locals[:filter_data] || {}
+      }
+    end
+  end
+end
@@ -0,0 +1,144 @@
+# frozen_string_literal: true
+
+module ProductionServices
+  # YieldReportService - Block yields per month: tonnes per hectare and average
+  # bunch weight, compared against the estate average, plus totals per mill
+  #
+  # A block is under-performing when its tonnes per hectare over the period fall
+  # below UNDER_PERFORMANCE_RATIO of the estate's. Blocks without a hectarage
+  # have no tonnes per hectare and are left out of the estate average.
+  #
+  # Usage:
+  #   result = ProductionServices::YieldReportService.new(policy_scope(Production),
+  #                                                       start_date: Date.new(2026, 1, 1),
+  #                                                       end_date: Date.new(2026, 6, 30)).call
+  #   report = result.value!
+  #   report[:months] # => [Thu, 01 Jan 2026, ..., Mon, 01 Jun 2026]
+  #   report[:blocks]
+  #   # => [{ block_id: 3, block_number: 'A-001', hectarage: 25.5, weight: 240.5, bunches: 11200,
+  #   #       tons_per_hectare: 9.43, avg_bunch_weight_kg: 21.47, vs_estate: 0.74, under_performing: true,
+  #   #       monthly: [{ month: Thu, 01 Jan 2026, weight: 40.1, bunches: 1850, tons_per_hectare: 1.57, ... }, ...] }]
+  #   report[:estate] # => the same totals over every block with a hectarage (monthly included)
+  #   report[:mills]
+  #   # => [{ mill_id: 1, name: 'Mill A', tickets: 40, blocks: 6, weight: 520.2, bunches: 24100,
+  #   #       avg_bunch_weight_kg: 21.59, share: 0.62 }]
+  class YieldReportService
+    include Dry::Monads[:result]
+    include MonthlyGrouping
+
+    MAX_MONTHS = 24
+    UNDER_PERFORMANCE_RATIO = 0.8
+
+    attr_reader :scope, :start_date, :end_date
+
+    def initialize(scope, start_date:, end_date:)
+      @scope = scope
+      @start_date = start_date
+      @end_date = end_date
+    end
+
+    def call
+      return Failure('The start date must be on or before the end date.') if start_date > end_date
+      return Failure("Please choose a period of at most #{MAX_MONTHS} months.") if month_count > MAX_MONTHS
+
+      blocks = block_rows
+      estate = estate_row(blocks)
+      blocks.each { |block| compare_with_estate(block, estate) }
+
+      Success(start_date: start_date, end_date: end_date, months: months, blocks: blocks, estate: estate,
+              mills: mill_rows)
+    end
+
+    private
+
+    def month_count
+      ((end_date.year * 12) + end_date.month) - ((start_date.year * 12) + start_date.month) + 1
+    end
+
+    def months
+      @months ||= Array.new(month_count) { |offset| start_date.beginning_of_month.advance(months: offset) }
+    end
+
+    def period_scope
+      scope.where(date: start_date..end_date)
+    end
+
+    # One row per block that produced in the period, by block number
+    def block_rows
+      totals = period_scope.group(:block_id, month_of('productions.date'))
+                           .pluck(:block_id, month_of('productions.date'),
+                                  Arel.sql('SUM(productions.total_weight_ton)'),
+                                  Arel.sql('SUM(productions.total_bunches)'))
+      by_block = totals.group_by(&:first)
+      blocks = Block.with_discarded.where(id: by_block.keys).index_by(&:id)
+
+      rows = by_block.map do |block_id, block_totals|
+        block = blocks[block_id]
+        by_month = block_totals.to_h { |_id, month, weight, bunches| [month.to_date, [weight, bunches]] }
+        yield_row(block&.hectarage, by_month).merge(block_id: block_id, block_number: block&.block_number.to_s)
+      end
+      rows.sort_by { |row| row[:block_number] }
+    end
+
+    # Blocks with a hectarage taken together
+    def estate_row(blocks)
+      measured = blocks.select { |block| block[:hectarage] }
+      by_month = months.each_with_index.to_h do |month, index|
+        monthly = measured.map { |block| block[:monthly][index] }
+        [month, [monthly.sum { |entry| entry[:weight] }, monthly.sum { |entry| entry[:bunches] }]]
+      end
+
+      yield_row(measured.sum { |block| block[:hectarage] }, by_month)
+    end
+
+    # Totals and yields over the period and for each month.
+    # `by_month` maps a month to its [weight, bunches].
+    def yield_row(hectarage, by_month)
+      hectarage = hectarage.to_f.positive? ? hectarage.to_f : nil
+      monthly = months.map do |month|
+        weight, bunches = by_month.fetch(month, [0, 0])
+        yields(weight, bunches, hectarage).merge(month: month)
+      end
+
+      yields(monthly.sum { |entry| entry[:weight] }, monthly.sum { |entry| entry[:bunches] }, hectarage)
+        .merge(hectarage: hectarage, monthly: monthly)
+    end
+
+    def yields(weight, bunches, hectarage)
+      weight = weight.to_f
+      bunches = bunches.to_i
+
+      {
+        weight: weight,
+        bunches: bunches,
+        tons_per_hectare: hectarage && (weight / hectarage).round(3),
+        avg_bunch_weight_kg: bunches.positive? ? (weight * 1000 / bunches).round(2) : nil
+      }
+    end
+
+    def compare_with_estate(block, estate)
+      ratio = if block[:tons_per_hectare] && estate[:tons_per_hectare].to_f.positive?
+                (block[:tons_per_hectare] / estate[:tons_per_hectare]).round(3)
+              end
+
+      block[:vs_estate] = ratio
+      block[:under_performing] = ratio.present? && ratio < UNDER_PERFORMANCE_RATIO
+    end
+
+    def mill_rows
+      totals = period_scope.joins(:mill).group('mills.id', 'mills.name').order('mills.name')
+                           .pluck('mills.id', 'mills.name', Arel.sql('COUNT(productions.id)'),
+                                  Arel.sql('COUNT(DISTINCT productions.block_id)'),
+                                  Arel.sql('SUM(productions.total_weight_ton)'),
+                                  Arel.sql('SUM(productions.total_bunches)'))
+      total_weight = totals.sum { |row| row[4].to_f }
+
+      totals.map do |mill_id, name, tickets, blocks, weight, bunches|
+        yields(weight, bunches, nil).except(:tons_per_hectare).merge(
+          mill_id: mill_id, name: name, tickets: tickets, blocks: blocks,
+          share: total_weight.positive? ? (weight.to_f / total_weight).round(3) : 0
+        )
+      end
+    end
+  end
+end
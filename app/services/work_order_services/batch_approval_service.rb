@@ -0,0 +1,87 @@
+# frozen_string_literal: true
+
+module WorkOrderServices
+  # BatchApprovalService - Approves or requests amendment for many work orders
+  #
+  # Each work order goes through ApproveService / RequestAmendmentService in its
+  # own transaction, so an order rejected by its state machine doesn't undo the
+  # others. The outcome is reported per work order.
+  #
+  # Usage:
+  #   result = WorkOrderServices::BatchApprovalService.call(scope, ids: [1, 2], action: :approve,
+  #                                                        current_user: user)
+  #   result.value!
+  #   # => { message: '1 of 2 work orders approved.',
+  #   #      results: [{ id: 1, success: true, message: '...' }, { id: 2, success: false, message: '...' }] }
+  #
+  class BatchApprovalService
+    include Dry::Monads[:result]
+
+    ACTIONS = %i[approve request_amendment].freeze
+
+    # Keeps a single request from holding the connection for too long
+    MAX_IDS = 500
+
+    def self.call(scope, ids:, action:, **)
+      new(scope, ids:, action:, **).call
+    end
+
+    def initialize(scope, ids:, action:, current_user:, remarks: nil)
+      @scope = scope
+      @ids = Array(ids).compact_blank.map(&:to_i).uniq
+      @action = action.to_s.to_sym
+      @current_user = current_user
+      @remarks = remarks.to_s.strip.presence
+    end
+
+    def call
+      return Failure('Please select at least one work order.') if ids.empty?
+      return Failure("Please select at most #{MAX_IDS} work orders at a time.") if ids.size > MAX_IDS
+      return Failure("Unknown batch action: #{action}.") unless ACTIONS.include?(action)
+      if action == :request_amendment && remarks.nil?
+        return Failure('Please provide remarks for the amendment request.')
+      end
+
+      work_orders = scope.where(id: ids).index_by(&:id)
+      results = ids.map { |id| process(id, work_orders[id]) }
+
+      Success(message: summary(results), results: results)
+    end
+
+    private
+
+    attr_reader :scope, :ids, :action, :current_user, :remarks
+
+    def process(id, work_order)
+      return { id: id, success: false, message: 'Work order not found.' } unless work_order
+
+      result = nil
+      WorkOrder.transaction do
+        result = service_for(work_order).call
+        raise ActiveRecord::Rollback if result.failure?
+      end
+
+      result.either(
+        ->(message) { { id: id, success: true, message: message } },
+        ->(error) { { id: id, success: false, message: error } }
+      )
+    rescue ActiveRecord::ActiveRecordError => e
+      { id: id, success: false, message: "Failed to update work order: #{e.message}" }
+    end
+
+    def service_for(work_order)
+      if action == :approve
+        ApproveService.new(work_order, current_user, remarks)
+      else
+        RequestAmendmentService.new(work_order, remarks)
+      end
+    end
+
+    def summary(results)
+      succeeded = results.count { |result| result[:success] }
+      outcome = action == :approve ? 'approved' : 'sent back for amendment'
+
+      "#{succeeded} of #{results.size} work orders #{outcome}."
+    end
+  end
+end
@@ -1,14 +1,20 @@
 # frozen_string_literal: true
 
 module WorkOrderServices
+  # Sends a pending work order back to the field conductor. Besides the general
+  # remarks, the approver can leave comments on individual worker / resource rows:
+  #   line_comments: [{ row_type: 'worker', row_id: 12, body: 'Rate looks too high' }]
+  # They're kept with the amendment's history entry (WorkOrderLineComment).
   class RequestAmendmentService
     include Dry::Monads[:result]
 
-    attr_reader :work_order, :remarks
+    attr_reader :work_order, :remarks, :line_comments
 
-    def initialize(work_order, remarks = nil)
+    def initialize(work_order, remarks = nil, line_comments = [])
       @work_order = work_order
       @remarks = remarks
+      @line_comments = Array(line_comments).map { |comment| comment.to_h.symbolize_keys }
+                                           .reject { |comment| comment[:body].blank? }
     end
 
     def call
@@ -16,10 +22,17 @@ module WorkOrderServices
         return Failure("Cannot request amendment for work order in #{work_order.work_order_status} status.")
       end
 
-      request_amendment
+      WorkOrder.transaction do
+        request_amendment
+        create_line_comments
+      end
       Success('Amendment has been requested for this work order.')
     rescue AASM::InvalidTransition => e
       Failure("Failed to request amendment: #{e.message}")
+    rescue ActiveRecord::RecordNotFound
+      Failure('Failed to request amendment: a commented row is no longer on this work order.')
+    rescue ActiveRecord::RecordInvalid => e
+      Failure("Failed to request amendment: #{e.record.errors.full_messages.to_sentence}")
     end
 
     private
@@ -28,5 +41,27 @@ module WorkOrderServices
       # Pass remarks as keyword argument - AASM will forward it to callbacks
       work_order.request_amendment!(remarks: remarks)
     end
+
+    def create_line_comments
+      return if line_comments.empty?
+
+      history = work_order.latest_amendment_history
+      line_comments.each do |comment|
+        row = find_row(comment[:row_type], comment[:row_id])
+        history.line_comments.create!(
+          work_order: work_order,
+          commentable: row,
+          row_name: row.respond_to?(:worker_name) ? row.worker_name : row.item_name,
+          body: comment[:body].to_s.strip
+        )
+      end
+    end
+
+    def find_row(row_type, row_id)
+      association = WorkOrderLineComment::ROW_TYPES.fetch(row_type.to_s) do
+        raise ActiveRecord::RecordNotFound
+      end
+      work_order.public_send(association).find(row_id)
+    end
   end
 end
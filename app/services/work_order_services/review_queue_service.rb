@@ -0,0 +1,96 @@
+# frozen_string_literal: true
+
+module WorkOrderServices
+  # ReviewQueueService - Where a work order sits among the pending work orders
+  # of the approvals index, for reviewing them one after another
+  #
+  # The queue is the given scope (the index's Ransack result) narrowed to
+  # pending work orders, in the index's sort order: `order` lists its
+  # [Arel attribute, 'asc' | 'desc'] pairs, newest first when empty, with the
+  # id as the tiebreaker. The current work order counts in it after it has
+  # been decided so the next one can still be found. Neighbours are found with
+  # keyset conditions on the current work order's sort values, so the queue
+  # itself is never loaded.
+  #
+  # Usage:
+  #   order = @q.sorts.map { |sort| [sort.attr, sort.dir] }
+  #   result = WorkOrderServices::ReviewQueueService.new(@q.result, current_id: 42, order: order).call
+  #   result.value!
+  #   # => { position: 3, pending: 11, next_id: 40, previous_id: 45 }
+  #
+  # Without current_id, next_id is the first work order in the queue.
+  class ReviewQueueService
+    include Dry::Monads[:result]
+
+    attr_reader :scope, :current_id, :order
+
+    def initialize(scope, current_id: nil, order: [])
+      @scope = scope
+      @current_id = current_id.presence&.to_i
+      @order = order.map { |attribute, dir| [attribute, dir.to_s == 'desc' ? :desc : :asc] } +
+               [[WorkOrder.arel_table[:id], :desc]]
+    end
+
+    def call
+      values = current_values
+      unless values
+        return Success(position: nil, pending: pending.count, next_id: in_order(pending).pick(:id), previous_id: nil)
+      end
+
+      before = pending.where(beyond(values, reverse: true))
+      Success(
+        position: before.count + 1,
+        pending: pending.count,
+        next_id: in_order(pending.where(beyond(values))).pick(:id),
+        previous_id: in_order(before, reverse: true).pick(:id)
+      )
+    end
+
+    private
+
+    def pending
+      scope.where(work_order_status: WorkOrder::STATUSES[:pending])
+    end
+
+    # The current work order's value for each sort attribute, nil when it
+    # isn't in the queue
+    def current_values
+      return unless current_id
+
+      row = scope.where(id: current_id).pluck(WorkOrder.arel_table[:id], *order.map(&:first)).first
+      row&.drop(1)
+    end
+
+    def in_order(relation, reverse: false)
+      relation.reorder(order.map { |attribute, dir| attribute.public_send(direction(dir, reverse)) })
+    end
+
+    # Rows that come after `values` in the queue order (before it when
+    # reversed): equal on the leading attributes and past it on the next one.
+    # NULLs sort last ascending and first descending, as in PostgreSQL.
+    def beyond(values, reverse: false)
+      conditions = order.each_with_index.filter_map do |(attribute, dir), index|
+        past = past_value(attribute, direction(dir, reverse), values[index])
+        next unless past
+
+        equal = order.first(index).zip(values).map { |(leading, _dir), value| leading.eq(value) }
+        [*equal, past].reduce(:and)
+      end
+      conditions.reduce(:or) || Arel.sql('1 = 0')
+    end
+
+    def past_value(attribute, dir, value)
+      if dir == :asc
+        attribute.gt(value).or(attribute.eq(nil)) unless value.nil?
+      else
+        value.nil? ? attribute.not_eq(nil) : attribute.lt(value)
+      end
+    end
+
+    def direction(dir, reverse)
+      return dir unless reverse
+
+      dir == :asc ? :desc : :asc
+    end
+  end
+end
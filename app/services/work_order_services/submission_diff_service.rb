@@ -0,0 +1,107 @@
+# frozen_string_literal: true
+
+module WorkOrderServices
+  # SubmissionDiffService - What changed between the last two submissions of a
+  # work order, i.e. what the field conductor changed after an amendment request
+  #
+  # Compares the row snapshots kept in WorkOrderHistory#transition_details.
+  # Rows are matched by worker / inventory; when the same worker appears twice
+  # the rows are paired in the order they were added.
+  #
+  # Usage:
+  #   result = WorkOrderServices::SubmissionDiffService.new(work_order).call
+  #   result.value!
+  #   # => { previous: <WorkOrderHistory>, current: <WorkOrderHistory>,
+  #   #      workers: [{ status: :changed, name: 'Ali', previous: {...}, current: {...},
+  #   #                  changed_fields: ['rate', 'amount'], amount_delta: 12.5 }, ...],
+  #   #      items: [{ status: :added, name: 'NPK', previous: nil, current: {...}, changed_fields: [] }],
+  #   #      amount_total: { previous: 300.0, current: 312.5, delta: 12.5 } }
+  class SubmissionDiffService
+    include Dry::Monads[:result]
+
+    WORKER_FIELDS = %w[work_area_size work_days rate amount remarks].freeze
+    ITEM_FIELDS = %w[amount_used].freeze
+
+    attr_reader :work_order
+
+    def initialize(work_order)
+      @work_order = work_order
+    end
+
+    def call
+      current, previous = work_order.work_order_histories.submissions.recent.order(id: :desc).limit(2).to_a
+      return Failure('Work order has not been resubmitted yet.') unless previous
+      return Failure('No snapshot was kept for these submissions.') unless current.snapshot && previous.snapshot
+
+      Success(
+        previous: previous,
+        current: current,
+        workers: diff_rows(previous.snapshot['workers'], current.snapshot['workers'],
+                           key: 'worker_id', name: 'worker_name', fields: WORKER_FIELDS),
+        items: diff_rows(previous.snapshot['items'], current.snapshot['items'],
+                         key: 'inventory_id', name: 'item_name', fields: ITEM_FIELDS),
+        amount_total: amount_total(previous.snapshot['workers'], current.snapshot['workers'])
+      )
+    end
+
+    private
+
+    # Current rows in their order, followed by the removed ones
+    def diff_rows(previous_rows, current_rows, key:, name:, fields:)
+      previous_by_key = keyed(previous_rows, key)
+      current_by_key = keyed(current_rows, key)
+
+      (current_by_key.keys | previous_by_key.keys).map do |row_key|
+        before = previous_by_key[row_key]
+        after = current_by_key[row_key]
+        changed_fields = before && after ? fields.reject { |field| same?(before[field], after[field]) } : []
+
+        row = {
+          status: row_status(before, after, changed_fields),
+          name: (after || before)[name],
+          previous: before,
+          current: after,
+          changed_fields: changed_fields
+        }
+        row[:amount_delta] = amount(after) - amount(before) if fields.include?('amount')
+        row
+      end
+    end
+
+    # { [worker_id, occurrence] => row }
+    def keyed(rows, key)
+      Array(rows).group_by { |row| row[key] }.each_with_object({}) do |(value, group), keyed_rows|
+        group.each_with_index { |row, index| keyed_rows[[value, index]] = row }
+      end
+    end
+
+    def row_status(before, after, changed_fields)
+      return :added unless before
+      return :removed unless after
+
+      changed_fields.any? ? :changed : :unchanged
+    end
+
+    # "2.50" and "2.5" are the same quantity; blank and nil are the same remark
+    def same?(before, after)
+      normalize(before) == normalize(after)
+    end
+
+    def normalize(value)
+      return BigDecimal(value) if value.is_a?(String) && value.match?(/\A-?\d+(\.\d+)?\z/)
+
+      value.presence
+    end
+
+    def amount(row)
+      row ? BigDecimal(row['amount'].presence || '0') : BigDecimal('0')
+    end
+
+    def amount_total(previous_rows, current_rows)
+      previous = Array(previous_rows).sum(BigDecimal('0')) { |row| amount(row) }
+      current = Array(current_rows).sum(BigDecimal('0')) { |row| amount(row) }
+
+      { previous: previous, current: current, delta: current - previous }
+    end
+  end
+end
@@ -27,6 +27,10 @@ module StIntentHarvest
     # in config/environments, which are processed later.
     #
     config.time_zone = "Kuala Lumpur"
+
+    # How far (in percent) a per-worker rate on a work days order may differ from
+    # the standard work order rate before the clerk has to justify it
+    config.x.work_orders.rate_tolerance_percent = ENV.fetch('WORK_ORDER_RATE_TOLERANCE_PERCENT', 10).to_f
     # config.eager_load_paths << Rails.root.join("extras")
   end
 end
@@ -14,3 +14,6 @@ pin '@popperjs/core', to: 'popper.js', preload: true
 
 # Flatpickr for date range picker
 pin 'flatpickr' # @4.6.13
+
+# Shared JavaScript helpers used across controllers
+pin_all_from 'app/javascript/lib', under: 'lib'
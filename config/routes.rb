@@ -30,6 +30,7 @@ Rails.application.routes.draw do
   get 'dashboard', to: 'dashboard#index'
   # BI Dashboard
   get 'bi_dashboard', to: 'bi_dashboard#index', as: :bi_dashboard
+  get 'bi_dashboard/charts/:chart', to: 'bi_dashboard#chart', as: :bi_dashboard_chart, defaults: { format: :json }
 
   # Work Order Namespace
   namespace :work_orders do
@@ -38,8 +39,17 @@ Rails.application.routes.draw do
         patch :mark_complete
         get :confirm_delete
       end
+      collection do
+        get :worker_options
+        get :inventory_options
+        get :previous
+      end
     end
     resources :approvals, only: %i[index show update] do
+      collection do
+        post :batch
+        get :review
+      end
       member do
         patch :approve
         patch :request_amendment
@@ -80,6 +90,12 @@ Rails.application.routes.draw do
   end
 
   # Production
+  resource :yield_report, only: :show
+  namespace :productions do
+    resource :import, only: %i[new create] do
+      post :duplicates
+    end
+  end
   resources :productions do
     member do
       get :confirm_delete
@@ -125,6 +141,16 @@ Rails.application.routes.draw do
     end
   end
 
+  # Read-only JSON API for external BI tools, authenticated with an ApiToken
+  namespace :api, defaults: { format: :json } do
+    namespace :v1 do
+      get 'production', to: 'productions#index', as: :production
+      resources :work_order_costs, only: :index
+      resources :mandays, only: :index
+      resources :pay_calculations, only: :index
+    end
+  end
+
   # User Management Namespace
   namespace :user_management do
     resources :roles, concerns: :restorable do
@@ -0,0 +1,8 @@
+# frozen_string_literal: true
+
+class AddRateOverrideReasonToWorkOrderWorkers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :work_order_workers, :rate_override_reason, :text,
+               comment: 'Why a work days rate differs from the standard rate by more than the tolerance'
+  end
+end
@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+class CreateWorkOrderLineComments < ActiveRecord::Migration[8.1]
+  def change
+    create_table :work_order_line_comments do |t|
+      t.references :work_order, foreign_key: true, null: false
+      t.references :work_order_history, foreign_key: true, null: false
+      # WorkOrderWorker or WorkOrderItem; no foreign key so comments outlive removed rows
+      t.references :commentable, polymorphic: true, null: false
+      t.string :row_name, comment: 'Worker or resource name when the comment was made'
+      t.text :body, null: false
+      t.datetime :resolved_at
+      t.references :resolved_by, foreign_key: { to_table: :users }, null: true
+      t.datetime :discarded_at
+
+      t.timestamps
+    end
+
+    add_index :work_order_line_comments, :discarded_at
+  end
+end
@@ -0,0 +1,19 @@
+# frozen_string_literal: true
+
+class CreateApiTokens < ActiveRecord::Migration[8.1]
+  def change
+    create_table :api_tokens do |t|
+      t.references :user, foreign_key: true, null: false
+      t.string :name, null: false, comment: 'What the token is used for, e.g. "Power BI refresh"'
+      t.string :token_digest, null: false, comment: 'SHA256 of the token; the token itself is only shown once'
+      t.datetime :last_used_at
+      t.datetime :expires_at
+      t.datetime :discarded_at
+
+      t.timestamps
+    end
+
+    add_index :api_tokens, :token_digest, unique: true
+    add_index :api_tokens, :discarded_at
+  end
+end
@@ -10,10 +10,24 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_06_17_090000) do
+ActiveRecord::Schema[8.1].define(version: 2026_10_19_030000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
+  create_table "api_tokens", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "discarded_at"
+    t.datetime "expires_at"
+    t.datetime "last_used_at"
+    t.string "name", null: false, comment: "What the token is used for, e.g. \"Power BI refresh\""
+    t.string "token_digest", null: false, comment: "SHA256 of the token; the token itself is only shown once"
+    t.datetime "updated_at", null: false
+    t.bigint "user_id", null: false
+    t.index ["discarded_at"], name: "index_api_tokens_on_discarded_at"
+    t.index ["token_digest"], name: "index_api_tokens_on_token_digest", unique: true
+    t.index ["user_id"], name: "index_api_tokens_on_user_id"
+  end
+
   create_table "audits", force: :cascade do |t|
     t.string "action"
     t.integer "associated_id"
@@ -318,6 +332,25 @@ ActiveRecord::Schema[8.1].define(version: 2026_06_17_090000) do
     t.index ["work_order_id"], name: "index_work_order_items_on_work_order_id"
   end
 
+  create_table "work_order_line_comments", force: :cascade do |t|
+    t.text "body", null: false
+    t.bigint "commentable_id", null: false
+    t.string "commentable_type", null: false
+    t.datetime "created_at", null: false
+    t.datetime "discarded_at"
+    t.datetime "resolved_at"
+    t.bigint "resolved_by_id"
+    t.string "row_name", comment: "Worker or resource name when the comment was made"
+    t.datetime "updated_at", null: false
+    t.bigint "work_order_history_id", null: false
+    t.bigint "work_order_id", null: false
+    t.index ["commentable_type", "commentable_id"], name: "index_work_order_line_comments_on_commentable"
+    t.index ["discarded_at"], name: "index_work_order_line_comments_on_discarded_at"
+    t.index ["resolved_by_id"], name: "index_work_order_line_comments_on_resolved_by_id"
+    t.index ["work_order_history_id"], name: "index_work_order_line_comments_on_work_order_history_id"
+    t.index ["work_order_id"], name: "index_work_order_line_comments_on_work_order_id"
+  end
+
   create_table "work_order_rates", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.string "currency", default: "RM"
@@ -336,6 +369,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_06_17_090000) do
     t.datetime "created_at", null: false
     t.datetime "discarded_at"
     t.decimal "rate", precision: 10, scale: 2
+    t.text "rate_override_reason", comment: "Why a work days rate differs from the standard rate by more than the tolerance"
     t.text "remarks"
     t.datetime "updated_at", null: false
     t.decimal "work_area_size", precision: 10, scale: 3
@@ -398,6 +432,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_06_17_090000) do
     t.index ["discarded_at"], name: "index_workers_on_discarded_at"
   end
 
+  add_foreign_key "api_tokens", "users"
   add_foreign_key "deduction_wage_ranges", "deduction_types", on_delete: :cascade
   add_foreign_key "inventories", "categories"
   add_foreign_key "inventories", "units"
@@ -415,6 +450,9 @@ ActiveRecord::Schema[8.1].define(version: 2026_06_17_090000) do
   add_foreign_key "work_order_histories", "work_orders"
   add_foreign_key "work_order_items", "inventories"
   add_foreign_key "work_order_items", "work_orders"
+  add_foreign_key "work_order_line_comments", "users", column: "resolved_by_id"
+  add_foreign_key "work_order_line_comments", "work_order_histories"
+  add_foreign_key "work_order_line_comments", "work_orders"
   add_foreign_key "work_order_rates", "units"
   add_foreign_key "work_order_workers", "work_orders"
   add_foreign_key "work_order_workers", "workers"
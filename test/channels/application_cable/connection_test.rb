@@ -4,12 +4,16 @@ require 'test_helper'
 
 module ApplicationCable
   class ConnectionTest < ActionCable::Connection::TestCase
-    # test "connects with cookies" do
-    #   cookies.signed[:user_id] = 42
-    #
-    #   connect
-    #
-    #   assert_equal connection.user_id, "42"
-    # end
+    Warden = Struct.new(:user)
+
+    test 'connects with the signed in user' do
+      connect env: { 'warden' => Warden.new(users(:admin)) }
+
+      assert_equal users(:admin), connection.current_user
+    end
+
+    test 'rejects connections without a session' do
+      assert_reject_connection { connect env: { 'warden' => Warden.new(nil) } }
+    end
   end
 end
@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module Api
+  module V1
+    class PayCalculationsControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        @api_token = users(:clerk).api_tokens.create!(name: 'Payroll summary')
+      end
+
+      test 'pay calculation summaries within the period' do
+        get api_v1_pay_calculations_path(start_date: '2025-01-01', end_date: '2025-01-31'),
+            headers: { 'Authorization' => "Bearer #{@api_token.token}" }
+        assert_response :success
+
+        row = response.parsed_body['data'].sole
+        assert_equal '2025-01', row['month_year']
+        assert_equal 2, row['worker_count']
+        assert_in_delta 5000.0, row['total_gross_salary']
+        assert_in_delta 148.7, row['total_employer_contributions']
+      end
+
+      test 'work order costs need the work order permission' do
+        get api_v1_work_order_costs_path, headers: { 'Authorization' => "Bearer #{@api_token.token}" }
+
+        assert_response :forbidden
+      end
+    end
+  end
+end
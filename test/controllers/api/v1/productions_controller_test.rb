@@ -0,0 +1,97 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module Api
+  module V1
+    class ProductionsControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        @api_token = users(:admin).api_tokens.create!(name: 'Power BI refresh')
+      end
+
+      test 'requests without a valid token are unauthorized' do
+        get api_v1_production_path
+        assert_response :unauthorized
+
+        get api_v1_production_path, headers: auth_headers('not-a-token')
+        assert_response :unauthorized
+      end
+
+      test 'production totals are grouped by block' do
+        get api_v1_production_path(group_by: 'block'), headers: auth_headers(@api_token.token)
+        assert_response :success
+
+        rows = response.parsed_body['data'].index_by { |row| row['block_id'] }
+        assert_equal 2, rows[blocks(:one).id]['tickets']
+        assert_in_delta 7.7, rows[blocks(:one).id]['total_weight_ton']
+        assert_equal 325, rows[blocks(:one).id]['total_bunches']
+        assert_equal 2, response.parsed_body.dig('meta', 'count')
+      end
+
+      test 'production totals are paginated by date within the period' do
+        params = { start_date: 2.days.ago.to_date.iso8601, per_page: 1, page: 2 }
+        get api_v1_production_path(params), headers: auth_headers(@api_token.token)
+        assert_response :success
+
+        body = response.parsed_body
+        assert_equal [1.day.ago.to_date.iso8601], body['data'].pluck('date')
+        assert_equal({ 'page' => 2, 'per_page' => 1, 'pages' => 2, 'count' => 2 },
+                     body['meta'].slice('page', 'per_page', 'pages', 'count'))
+      end
+
+      test 'large pages and pages far down the list can be read' do
+        add_daily_productions(120)
+
+        get api_v1_production_path(per_page: 150), headers: auth_headers(@api_token.token)
+        assert_equal 123, response.parsed_body['data'].size
+        assert_equal 150, response.parsed_body.dig('meta', 'per_page')
+
+        get api_v1_production_path(per_page: 2, page: 60), headers: auth_headers(@api_token.token)
+        body = response.parsed_body
+        assert_equal 2, body['data'].size
+        assert_equal({ 'page' => 60, 'per_page' => 2, 'pages' => 62, 'count' => 123 },
+                     body['meta'].slice('page', 'per_page', 'pages', 'count'))
+      end
+
+      test 'pages past the last one are empty' do
+        get api_v1_production_path(per_page: 2, page: 3), headers: auth_headers(@api_token.token)
+        assert_response :success
+
+        assert_empty response.parsed_body['data']
+        assert_equal 2, response.parsed_body.dig('meta', 'pages')
+      end
+
+      test 'bad parameters are rejected' do
+        get api_v1_production_path(group_by: 'worker'), headers: auth_headers(@api_token.token)
+        assert_response :bad_request
+
+        get api_v1_production_path(start_date: '31/01/2026'), headers: auth_headers(@api_token.token)
+        assert_response :bad_request
+      end
+
+      test "the token's user needs permission to read production" do
+        api_token = users(:clerk).api_tokens.create!(name: 'Clerk export')
+
+        get api_v1_production_path, headers: auth_headers(api_token.token)
+
+        assert_response :forbidden
+      end
+
+      private
+
+      # One ticket a day before the fixtures' dates, each on its own date
+      def add_daily_productions(days)
+        Production.insert_all!(
+          (1..days).map do |offset|
+            { date: (offset + 3).days.ago.to_date, ticket_estate_no: "API-#{offset}", ticket_mill_no: "API-#{offset}",
+              total_bunches: 10, total_weight_ton: 1, block_id: blocks(:one).id, mill_id: mills(:one).id }
+          end
+        )
+      end
+
+      def auth_headers(token)
+        { 'Authorization' => "Bearer #{token}" }
+      end
+    end
+  end
+end
@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class BiDashboardControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    sign_in users(:admin)
+  end
+
+  test 'index lays out a chart per aggregate endpoint' do
+    get bi_dashboard_path(months: 6)
+    assert_response :success
+
+    AnalyticsServices::ChartDataService::CHARTS.each_key do |chart|
+      assert_includes response.body, bi_dashboard_chart_path(chart, months: 6)
+    end
+  end
+
+  test 'chart answers with its aggregates as json' do
+    get bi_dashboard_chart_path('throughput', months: 3)
+    assert_response :success
+
+    body = response.parsed_body
+    assert_equal 3, body['labels'].size
+    assert_equal 4, body['series'].size
+  end
+
+  test 'unknown charts are not found' do
+    get bi_dashboard_chart_path('weather')
+
+    assert_response :not_found
+  end
+end
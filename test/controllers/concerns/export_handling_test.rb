@@ -127,4 +127,27 @@ class ExportHandlingTest < ActionDispatch::IntegrationTest
 
     assert_match block.block_number, csv_data
   end
+
+  test 'CSV export filters by several mills' do
+    get productions_path(
+      format: :csv,
+      q: { mill_id_in: [mills(:one).id, mills(:two).id], date_gteq: 4.days.ago.to_s, date_lteq: Date.today.to_s }
+    )
+
+    assert_response :success
+    assert_match 'EST-001', response.body
+    assert_match 'EST-002', response.body
+  end
+
+  test 'CSV export filters by several blocks and mills together' do
+    get productions_path(
+      format: :csv,
+      q: { mill_id_in: [mills(:one).id, mills(:two).id], block_id_in: [blocks(:two).id],
+           date_gteq: 4.days.ago.to_s, date_lteq: Date.today.to_s }
+    )
+
+    assert_response :success
+    assert_match 'EST-002', response.body
+    assert_no_match(/EST-001|EST-003/, response.body)
+  end
 end
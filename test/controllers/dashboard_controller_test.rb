@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class DashboardControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    sign_in users(:admin)
+  end
+
+  test 'counters link to the work order list for their status' do
+    get root_path
+    assert_response :success
+
+    assert_select '#work_order_counters a[href=?]',
+                  work_orders_details_path(q: { work_order_status_eq: WorkOrder::STATUSES[:ongoing] })
+    assert_select '#work_order_counters a[href=?]',
+                  work_orders_approvals_path(q: { work_order_status_eq: WorkOrder::STATUSES[:pending] })
+  end
+
+  test 'filters narrow the counters and carry over to the drill-down links' do
+    filters = { field_conductor_id_eq: users(:one).id.to_s, start_date_gteq: '2025-01-02' }
+    get root_path(q: filters)
+    assert_response :success
+
+    assert_select '#work_order_counters a[href=?]',
+                  work_orders_details_path(q: filters.merge(work_order_status_eq: 'ongoing')) do
+      assert_select '.card-text', text: '1'
+    end
+  end
+
+  test 'unknown filters are ignored' do
+    get root_path(q: { work_order_status_eq: 'completed' })
+    assert_response :success
+
+    assert_select '#work_order_counters a[href=?]', work_orders_details_path(q: { work_order_status_eq: 'ongoing' }) do
+      assert_select '.card-text', text: '2'
+    end
+  end
+end
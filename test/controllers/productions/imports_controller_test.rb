@@ -0,0 +1,63 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module Productions
+  class ImportsControllerTest < ActionDispatch::IntegrationTest
+    include Devise::Test::IntegrationHelpers
+
+    setup do
+      sign_in users(:admin)
+    end
+
+    test 'shows the import page' do
+      get new_productions_import_path
+      assert_response :success
+
+      assert_select '[data-controller="production-import"]'
+    end
+
+    test 'imports the posted rows' do
+      rows = [
+        { line: 2, date: '2026-01-31', block_number: 'A-001', mill: 'Mill A', ticket_estate_no: 'E-1',
+          ticket_mill_no: 'M-1', total_bunches: '120', total_weight_ton: '2.45' },
+        { line: 3, date: '2026-01-31', block_number: 'A-001', mill: 'Mill A', ticket_estate_no: 'EST-001',
+          ticket_mill_no: 'M-2', total_bunches: '80', total_weight_ton: '1.6' }
+      ]
+
+      assert_difference 'Production.count', 1 do
+        post productions_import_path, params: { rows: rows }, as: :json
+      end
+      assert_response :success
+
+      body = response.parsed_body
+      assert_equal 1, body['imported']
+      assert_equal [3], body['rejected'].pluck('line')
+    end
+
+    test 'an empty import is turned away' do
+      post productions_import_path, params: { rows: [] }, as: :json
+
+      assert_response :unprocessable_entity
+      assert_equal 'There are no rows to import.', response.parsed_body['error']
+    end
+
+    test 'reports the tickets already recorded' do
+      post duplicates_productions_import_path,
+           params: { ticket_estate_nos: %w[EST-002 E-1], ticket_mill_nos: %w[M-1] }, as: :json
+      assert_response :success
+
+      assert_equal ['EST-002'], response.parsed_body['ticket_estate_nos']
+      assert_empty response.parsed_body['ticket_mill_nos']
+    end
+
+    test 'users who cannot add productions are turned away' do
+      sign_in users(:clerk)
+
+      assert_no_difference 'Production.count' do
+        post productions_import_path, params: { rows: [{ line: 2, block_number: 'A-001' }] }, as: :json
+      end
+      assert_response :redirect
+    end
+  end
+end
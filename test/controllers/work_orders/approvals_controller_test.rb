@@ -0,0 +1,130 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module WorkOrders
+  class ApprovalsControllerBatchTest < ActionDispatch::IntegrationTest
+    include Devise::Test::IntegrationHelpers
+
+    setup do
+      sign_in users(:admin)
+      @pending = work_orders(:one)
+      @pending.update_columns(work_order_status: 'pending', completion_date: Date.new(2025, 1, 31))
+    end
+
+    test 'batch approves the selected work orders and reports each one' do
+      ongoing = work_orders(:two)
+
+      post batch_work_orders_approvals_path,
+           params: { batch_action: 'approve', ids: [@pending.id, ongoing.id] }, as: :json
+      assert_response :success
+
+      body = response.parsed_body
+
+      assert body['success']
+      assert_equal [true, false], body['results'].pluck('success')
+      assert @pending.reload.completed?
+    end
+
+    test 'batch amendment requires remarks' do
+      post batch_work_orders_approvals_path,
+           params: { batch_action: 'request_amendment', ids: [@pending.id] }, as: :json
+
+      assert_response :unprocessable_entity
+      assert response.parsed_body['error'].present?
+      assert @pending.reload.pending?
+    end
+
+    test 'batch rejects unknown actions' do
+      post batch_work_orders_approvals_path, params: { batch_action: 'destroy', ids: [@pending.id] }, as: :json
+
+      assert_response :unprocessable_entity
+    end
+  end
+
+  class ApprovalsControllerTransitionTest < ActionDispatch::IntegrationTest
+    include Devise::Test::IntegrationHelpers
+
+    TURBO_STREAM_HEADERS = { 'Accept' => 'text/vnd.turbo-stream.html' }.freeze
+
+    setup do
+      sign_in users(:admin)
+      @work_order = work_orders(:one)
+      @work_order.update_columns(work_order_status: 'pending', completion_date: Date.new(2025, 1, 31))
+    end
+
+    test 'approve answers turbo stream requests with in-place updates' do
+      patch approve_work_orders_approval_path(@work_order), headers: TURBO_STREAM_HEADERS
+      assert_response :success
+
+      assert @work_order.reload.completed?
+      assert_includes response.body, %(target="#{ActionView::RecordIdentifier.dom_id(@work_order, :approval_row)}")
+      assert_includes response.body, 'target="work_order_counters"'
+      assert_includes response.body, 'target="flash_messages"'
+    end
+
+    test 'failed transitions stream the error into the modal' do
+      @work_order.update_columns(work_order_status: 'ongoing')
+
+      patch request_amendment_work_orders_approval_path(@work_order),
+            params: { work_order_history: { remarks: 'Recount' } }, headers: TURBO_STREAM_HEADERS
+
+      assert_response :unprocessable_entity
+      assert_includes response.body, 'target="approval_modal_error"'
+      assert_includes response.body, 'Cannot request amendment'
+    end
+
+    test 'approve still redirects html requests' do
+      patch approve_work_orders_approval_path(@work_order)
+
+      assert_redirected_to work_orders_approvals_path
+    end
+  end
+
+  class ApprovalsControllerReviewTest < ActionDispatch::IntegrationTest
+    include Devise::Test::IntegrationHelpers
+
+    setup do
+      sign_in users(:admin)
+      WorkOrder.update_all(work_order_status: 'pending', completion_date: Date.new(2025, 1, 31))
+      # The index lists newest first
+      @first, @second = WorkOrder.order(id: :desc).to_a
+    end
+
+    test 'review starts at the first pending work order and moves on after the given one' do
+      get review_work_orders_approvals_path
+      assert_redirected_to work_orders_approval_path(@first, review: 1)
+
+      get review_work_orders_approvals_path(after: @first.id)
+      assert_redirected_to work_orders_approval_path(@second, review: 1)
+
+      get review_work_orders_approvals_path(after: @second.id, direction: 'previous')
+      assert_redirected_to work_orders_approval_path(@first, review: 1)
+    end
+
+    test 'review follows the sort order of the index' do
+      get review_work_orders_approvals_path(q: { s: 'id asc' })
+      assert_redirected_to work_orders_approval_path(@second, review: 1, q: { s: 'id asc' })
+
+      get review_work_orders_approvals_path(after: @second.id, q: { s: 'id asc' })
+      assert_redirected_to work_orders_approval_path(@first, review: 1, q: { s: 'id asc' })
+    end
+
+    test 'review keeps to the index filters and ends on the index' do
+      get review_work_orders_approvals_path(q: { id_eq: @second.id })
+      assert_redirected_to work_orders_approval_path(@second, review: 1, q: { id_eq: @second.id.to_s })
+
+      get review_work_orders_approvals_path(after: @second.id, q: { id_eq: @second.id })
+      assert_redirected_to work_orders_approvals_path(q: { id_eq: @second.id.to_s })
+      assert_equal 'No more pending work orders to review.', flash[:notice]
+    end
+
+    test 'show in review mode reports the queue position' do
+      get work_orders_approval_path(@second, review: 1)
+      assert_response :success
+
+      assert_includes response.body, 'Work order 2 in the queue'
+      assert_includes response.body, '2 pending work orders left'
+    end
+  end
+end
@@ -0,0 +1,177 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module WorkOrders
+  class DetailsControllerOptionsTest < ActionDispatch::IntegrationTest
+    include Devise::Test::IntegrationHelpers
+
+    setup do
+      sign_in users(:admin)
+    end
+
+    test 'worker_options returns active workers in searchable-select format' do
+      get worker_options_work_orders_details_path, as: :json
+      assert_response :success
+
+      body = response.parsed_body
+      texts = body['results'].pluck('text')
+
+      assert_includes texts, workers(:one).name
+      assert_includes texts, workers(:two).name
+      assert_equal false, body['has_more']
+    end
+
+    test 'worker_options filters by term' do
+      get worker_options_work_orders_details_path(term: 'Jane'), as: :json
+      assert_response :success
+
+      results = response.parsed_body['results']
+
+      assert_equal [workers(:two).id], results.pluck('value')
+    end
+
+    test 'worker_options matches identity number and describes the worker' do
+      worker = workers(:one)
+
+      get worker_options_work_orders_details_path(term: worker.identity_number), as: :json
+      assert_response :success
+
+      results = response.parsed_body['results']
+
+      assert_equal [worker.id], results.pluck('value')
+      assert_equal worker.identity_number, results.first.dig('data', 'identity_number')
+      assert_equal Worker::NATIONALITY_LABELS[worker.nationality], results.first.dig('data', 'nationality')
+    end
+
+    test 'worker_options finds a worker by id' do
+      get worker_options_work_orders_details_path(id: workers(:two).id), as: :json
+      assert_response :success
+
+      assert_equal [workers(:two).id], response.parsed_body['results'].pluck('value')
+    end
+
+    test 'worker_options excludes inactive workers' do
+      workers(:one).update!(is_active: false)
+
+      get worker_options_work_orders_details_path, as: :json
+
+      assert_not_includes response.parsed_body['results'].pluck('value'), workers(:one).id
+    end
+
+    test 'worker_options reports has_more when another page exists' do
+      21.times do |i|
+        Worker.create!(name: "Paged Worker #{i}", worker_type: 'Full - Time', is_active: true,
+                       date_of_birth: Date.new(1990, 1, 1))
+      end
+
+      get worker_options_work_orders_details_path(term: 'Paged'), as: :json
+      assert response.parsed_body['has_more']
+
+      get worker_options_work_orders_details_path(term: 'Paged', page: 2), as: :json
+      assert_equal 1, response.parsed_body['results'].size
+      assert_equal false, response.parsed_body['has_more']
+    end
+
+    test 'worker_options serves the bulk picker more than the app-wide page limit' do
+      105.times do |i|
+        Worker.create!(name: "Bulk Worker #{i}", worker_type: 'Full - Time', is_active: true,
+                       date_of_birth: Date.new(1990, 1, 1))
+      end
+
+      get worker_options_work_orders_details_path(term: 'Bulk', per_page: 104), as: :json
+
+      assert_equal 104, response.parsed_body['results'].size
+      assert_equal 104, response.parsed_body['limit']
+      assert response.parsed_body['has_more']
+    end
+
+    test 'worker_options filters by worker type and nationality' do
+      workers(:two).update!(worker_type: 'Part - Time', nationality: 'foreigner')
+
+      get worker_options_work_orders_details_path(worker_type: 'Part - Time', nationality: 'foreigner'), as: :json
+
+      assert_equal [workers(:two).id], response.parsed_body['results'].pluck('value')
+    end
+
+    test 'worker_options lists inactive workers when asked for status' do
+      workers(:one).update!(is_active: false)
+
+      get worker_options_work_orders_details_path(status: 'inactive'), as: :json
+      assert_equal [workers(:one).id], response.parsed_body['results'].pluck('value')
+
+      get worker_options_work_orders_details_path(status: 'all'), as: :json
+      assert_includes response.parsed_body['results'].pluck('value'), workers(:one).id
+    end
+
+    test 'worker_options caps per_page' do
+      get worker_options_work_orders_details_path(per_page: 1), as: :json
+
+      assert_equal 1, response.parsed_body['results'].size
+      assert response.parsed_body['has_more']
+    end
+
+    test 'previous returns the latest completed work order for the block and rate' do
+      previous_order = work_orders(:one)
+      previous_order.update_columns(work_order_status: 'completed', completion_date: Date.new(2025, 1, 31))
+      previous_order.work_order_workers.create!(worker: workers(:one), work_area_size: 2.5, rate: 150)
+      previous_order.work_order_items.create!(inventory: inventories(:one), amount_used: 10)
+
+      get previous_work_orders_details_path(block_id: previous_order.block_id,
+                                            work_order_rate_id: previous_order.work_order_rate_id), as: :json
+      assert_response :success
+
+      body = response.parsed_body
+
+      assert_equal previous_order.id, body['id']
+      assert_equal [workers(:one).id], body['workers'].pluck('worker_id')
+      assert_equal '2.5', body['workers'].first['work_area_size']
+      assert_equal [inventories(:one).id], body['resources'].pluck('inventory_id')
+      assert_equal 10, body['resources'].first['amount_used']
+    end
+
+    test 'previous skips the work order being edited and ones that are not completed' do
+      previous_order = work_orders(:one)
+      params = { block_id: previous_order.block_id, work_order_rate_id: previous_order.work_order_rate_id }
+
+      get previous_work_orders_details_path(params), as: :json
+      assert_response :not_found
+
+      previous_order.update_columns(work_order_status: 'completed', completion_date: Date.new(2025, 1, 31))
+
+      get previous_work_orders_details_path(params.merge(exclude_id: previous_order.id)), as: :json
+      assert_response :not_found
+      assert response.parsed_body['error'].present?
+    end
+
+    test 'inventory_options matches category name' do
+      inventory = inventories(:one)
+
+      get inventory_options_work_orders_details_path(term: inventory.category.name), as: :json
+
+      assert_includes response.parsed_body['results'].pluck('value'), inventory.id
+    end
+
+    test 'inventory_options includes category and unit as option data' do
+      inventory = inventories(:one)
+
+      get inventory_options_work_orders_details_path(term: 'NPK'), as: :json
+      assert_response :success
+
+      result = response.parsed_body['results'].find { |r| r['value'] == inventory.id }
+
+      assert_equal inventory.name, result['text']
+      assert_equal inventory.category.name, result.dig('data', 'category')
+      assert_equal inventory.unit.name, result.dig('data', 'unit')
+    end
+
+    test 'inventory_options reports the stock on hand of the listed inventories' do
+      inventory = inventories(:one)
+
+      get inventory_options_work_orders_details_path(term: inventory.name), as: :json
+
+      result = response.parsed_body['results'].find { |r| r['value'] == inventory.id }
+      assert_in_delta inventory.stock_on_hand.to_f, result.dig('data', 'stock').to_f
+    end
+  end
+end
@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class YieldReportsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    sign_in users(:admin)
+  end
+
+  test 'shows block yields and flags under-performing blocks' do
+    get yield_report_path
+    assert_response :success
+
+    assert_select 'tr.table-danger td', text: 'B-002'
+    assert_select 'td', text: 'Mill A'
+  end
+
+  test 'exports the block yields as csv' do
+    get yield_report_path(format: :csv, q: { date_gteq: 1.month.ago.to_date.iso8601, date_lteq: Date.current.iso8601 })
+    assert_response :success
+
+    assert_equal 'text/csv', response.media_type
+    lines = response.body.lines
+    assert lines.first.start_with?('Block No.,Hectarage,Total Weight (Ton)')
+    assert_equal 4, lines.size
+    assert lines.last.start_with?('Estate,')
+  end
+
+  test 'periods the report cannot cover are turned away' do
+    get yield_report_path(q: { date_gteq: Date.current.iso8601, date_lteq: 1.month.ago.to_date.iso8601 })
+
+    assert_redirected_to yield_report_path
+  end
+end
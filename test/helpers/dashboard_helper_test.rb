@@ -0,0 +1,13 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class DashboardHelperTest < ActionView::TestCase
+  test 'dashboard_drill_down_links opens ongoing work orders in the details list' do
+    links = dashboard_drill_down_links('block_id_eq' => '5', 'start_date_gteq' => '')
+
+    assert_equal work_orders_details_path(q: { block_id_eq: '5', work_order_status_eq: 'ongoing' }), links[:ongoing]
+    assert_equal work_orders_approvals_path(q: { block_id_eq: '5', work_order_status_eq: 'completed' }),
+                 links[:completed]
+  end
+end
@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class SearchableSelectHelperTest < ActionView::TestCase
+  include Turbo::StreamsHelper
+
+  test 'searchable_select_created_stream renders the custom stream action' do
+    html = searchable_select_created_stream(value: 7, text: 'Ahmad')
+
+    assert_includes html, 'action="searchable_select_created"'
+  end
+
+  test 'searchable_select_created_stream encodes the option as JSON' do
+    html = searchable_select_created_stream(value: 7, text: 'Urea', data: { unit: 'kg' })
+    option = JSON.parse(Nokogiri::HTML5.fragment(html).at('turbo-stream')['option'])
+
+    assert_equal({ 'value' => 7, 'text' => 'Urea', 'data' => { 'unit' => 'kg' } }, option)
+  end
+end
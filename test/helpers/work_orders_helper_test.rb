@@ -0,0 +1,34 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class WorkOrdersHelperTest < ActionView::TestCase
+  setup do
+    @work_order = work_orders(:one)
+    @work_order.assign_attributes(
+      work_order_workers_attributes: {
+        '0' => { worker_id: workers(:one).id, work_area_size: 2 },
+        '7' => { worker_id: workers(:two).id, work_area_size: -1 }
+      }
+    )
+    @work_order.validate
+  end
+
+  test 'work_order_row_errors keys errors by the rendered row index' do
+    assert_equal({ 'work_order_workers[1].work_area_size' => ['must be greater than 0'] },
+                 work_order_row_errors(@work_order))
+  end
+
+  test 'work_order_error_messages names the row instead of the association' do
+    messages = work_order_error_messages(@work_order)
+
+    assert_includes messages, "Worker row 2 (#{workers(:two).name}): Work area size must be greater than 0"
+    assert(messages.none? { |message| message.start_with?('Work order workers') })
+  end
+
+  test 'submission_diff_delta signs amount changes' do
+    assert_equal '+RM 12.50', submission_diff_delta(BigDecimal('12.5'))
+    assert_equal '-RM 3.00', submission_diff_delta(BigDecimal('-3'))
+    assert_equal '-', submission_diff_delta(BigDecimal('0'))
+  end
+end
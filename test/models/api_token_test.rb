@@ -0,0 +1,38 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class ApiTokenTest < ActiveSupport::TestCase
+  setup do
+    @api_token = users(:admin).api_tokens.create!(name: 'Power BI refresh')
+  end
+
+  test 'only the digest of the token is stored' do
+    assert_equal 64, @api_token.token.length
+    assert_equal ApiToken.digest(@api_token.token), @api_token.token_digest
+    assert_nil ApiToken.find(@api_token.id).token
+  end
+
+  test 'authenticate finds the token and records its use' do
+    assert_equal @api_token, ApiToken.authenticate(@api_token.token)
+    assert_not_nil @api_token.reload.last_used_at
+  end
+
+  test 'authenticate rejects unknown, expired and revoked tokens' do
+    assert_nil ApiToken.authenticate('not-a-token')
+    assert_nil ApiToken.authenticate('')
+
+    @api_token.update!(expires_at: 1.minute.ago)
+    assert_nil ApiToken.authenticate(@api_token.token)
+
+    @api_token.update!(expires_at: nil)
+    @api_token.discard
+    assert_nil ApiToken.authenticate(@api_token.token)
+  end
+
+  test 'authenticate rejects tokens of deleted users' do
+    users(:admin).discard
+
+    assert_nil ApiToken.authenticate(@api_token.token)
+  end
+end
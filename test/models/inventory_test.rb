@@ -22,7 +22,41 @@
 require 'test_helper'
 
 class InventoryTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  setup do
+    @inventory = inventories(:one)
+    @inventory.inventory_orders.create!(quantity: 49, total_price: 100, supplier: 'Agro Supply',
+                                        purchase_date: Date.new(2025, 12, 1))
+  end
+
+  test 'stock_levels subtracts work order usage from ordered quantities' do
+    work_orders(:one).update_columns(work_order_status: 'pending')
+    work_orders(:one).work_order_items.create!(inventory: @inventory, amount_used: 20)
+
+    assert_equal 30, Inventory.stock_levels([@inventory.id])[@inventory.id]
+    assert_equal 30, @inventory.stock_on_hand
+  end
+
+  test 'stock_levels can leave out the usage of one work order' do
+    work_orders(:one).work_order_items.create!(inventory: @inventory, amount_used: 20)
+    work_orders(:two).work_order_items.create!(inventory: @inventory, amount_used: 5)
+    WorkOrder.update_all(work_order_status: 'pending')
+
+    assert_equal 45, @inventory.stock_on_hand(excluding_work_order_id: work_orders(:one).id)
+  end
+
+  test 'stock_levels ignores discarded work orders' do
+    work_orders(:two).work_order_items.create!(inventory: @inventory, amount_used: 5)
+    work_orders(:two).update_columns(work_order_status: 'completed', discarded_at: Time.current)
+
+    assert_equal 50, @inventory.stock_on_hand
+  end
+
+  test 'stock_levels leaves out ongoing (draft) work orders' do
+    work_orders(:one).work_order_items.create!(inventory: @inventory, amount_used: 20)
+
+    assert_equal 50, @inventory.stock_on_hand
+
+    work_orders(:one).update_columns(work_order_status: 'amendment_required')
+    assert_equal 30, @inventory.stock_on_hand
+  end
 end
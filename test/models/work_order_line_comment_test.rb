@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class WorkOrderLineCommentTest < ActiveSupport::TestCase
+  setup do
+    work_order = work_orders(:one)
+    row = work_order.work_order_workers.create!(worker: workers(:one), work_area_size: 2, rate: 100)
+    work_order.mark_complete!
+    work_order.request_amendment!(remarks: 'Check rows')
+    @comment = work_order.latest_amendment_history.line_comments.create!(work_order: work_order, commentable: row,
+                                                                          body: 'Area looks too big')
+  end
+
+  test 'the resolved flag stamps and clears resolved_at' do
+    Current.user = users(:admin)
+    @comment.update!(resolved: true)
+
+    assert @comment.resolved?
+    assert_equal users(:admin), @comment.resolved_by
+
+    @comment.update!(resolved: false)
+
+    assert_not @comment.resolved?
+    assert_nil @comment.resolved_by
+  ensure
+    Current.reset
+  end
+end
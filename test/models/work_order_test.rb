@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class WorkOrderTest < ActiveSupport::TestCase
+  include Turbo::Broadcastable::TestHelper
+
+  setup do
+    @work_order = work_orders(:one)
+    @inventory = inventories(:one)
+    @inventory.inventory_orders.create!(quantity: 9, total_price: 100, supplier: 'Agro Supply',
+                                        purchase_date: Date.new(2025, 12, 1))
+  end
+
+  test 'cannot be submitted when resources use more than the stock on hand' do
+    @work_order.work_order_items.create!(inventory: @inventory, amount_used: 12)
+
+    assert_equal [{ name: @inventory.name, used: 12, available: 10 }], @work_order.stock_shortfalls
+    assert_raises(AASM::InvalidTransition) { @work_order.mark_complete! }
+    assert_match(/Not enough stock for #{@inventory.name} \(12 used, 10 in stock\)/, @work_order.guard_failure_message)
+  end
+
+  test 'can be submitted when the stock covers the resources' do
+    @work_order.work_order_items.create!(inventory: @inventory, amount_used: 10)
+
+    assert @work_order.stock_available?
+    assert @work_order.mark_complete!
+  end
+
+  test 'stock used by drafts does not hold up a submission' do
+    work_orders(:two).work_order_items.create!(inventory: @inventory, amount_used: 10)
+    @work_order.work_order_items.create!(inventory: @inventory, amount_used: 10)
+
+    assert @work_order.mark_complete!
+    assert_not work_orders(:two).reload.stock_available?
+  end
+
+  test 'status_counts includes every status' do
+    work_orders(:two).update_columns(work_order_status: 'pending')
+
+    counts = WorkOrder.status_counts
+
+    assert_equal({ ongoing: 1, pending: 1, amendment_required: 0, completed: 0 }, counts)
+  end
+
+  test 'status changes refresh open work order pages' do
+    @work_order.work_order_items.create!(inventory: @inventory, amount_used: 1)
+
+    assert_turbo_stream_broadcasts(WorkOrder::BROADCAST_STREAM, count: 1) { @work_order.mark_complete! }
+    assert_no_turbo_stream_broadcasts(WorkOrder::BROADCAST_STREAM) do
+      @work_order.update!(completion_date: Date.new(2025, 1, 31))
+    end
+  end
+end
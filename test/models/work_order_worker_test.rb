@@ -0,0 +1,58 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class WorkOrderWorkerTest < ActiveSupport::TestCase
+  setup do
+    @work_order = WorkOrder.create!(work_order_rate: work_order_rates(:work_days), block: blocks(:one),
+                                    field_conductor: users(:admin), start_date: Date.new(2025, 1, 1),
+                                    work_month: Date.new(2025, 1, 1))
+  end
+
+  test 'flags a work days rate outside the tolerance' do
+    worker = @work_order.work_order_workers.build(worker: workers(:one), work_days: 10, rate: 60)
+
+    assert_equal 20.0, worker.rate_deviation_percent
+    assert worker.rate_deviates?
+    assert worker.rate_override_unjustified?
+
+    worker.rate_override_reason = 'Skilled harvester'
+    assert_not worker.rate_override_unjustified?
+  end
+
+  test 'compares against the price saved with the work order, not a later rate change' do
+    work_order_rates(:work_days).update!(rate: 60)
+    worker = @work_order.reload.work_order_workers.build(worker: workers(:one), work_days: 10, rate: 60)
+
+    assert_equal 20.0, worker.rate_deviation_percent
+  end
+
+  test 'accepts a work days rate within the tolerance' do
+    worker = @work_order.work_order_workers.build(worker: workers(:one), work_days: 10, rate: 54)
+
+    assert_not worker.rate_deviates?
+  end
+
+  test 'never flags rates on other work order types' do
+    worker = work_orders(:one).work_order_workers.build(worker: workers(:one), work_area_size: 1, rate: 500)
+
+    assert_not worker.rate_deviates?
+  end
+
+  test 'drops the reason once the rate is back within the tolerance' do
+    worker = @work_order.work_order_workers.create!(worker: workers(:one), work_days: 10, rate: 60,
+                                                    rate_override_reason: 'Skilled harvester')
+    assert_equal 'Skilled harvester', worker.reload.rate_override_reason
+
+    worker.update!(rate: 50)
+    assert_nil worker.reload.rate_override_reason
+  end
+
+  test 'work order cannot be submitted with an unjustified rate override' do
+    @work_order.work_order_workers.create!(worker: workers(:one), work_days: 10, rate: 80)
+
+    assert_not @work_order.reload.rate_overrides_justified?
+    assert_raises(AASM::InvalidTransition) { @work_order.mark_complete! }
+    assert_match(/reason/, @work_order.guard_failure_message)
+  end
+end
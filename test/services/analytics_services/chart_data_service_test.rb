@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module AnalyticsServices
+  class ChartDataServiceTest < ActiveSupport::TestCase
+    test 'production adds up tonnes per block and month' do
+      data = ChartDataService.new('production', months: 2).call.value!
+
+      assert_equal 'bar', data[:type]
+      assert_equal 2, data[:labels].size
+      totals = data[:series].to_h { |series| [series[:name], series[:values].sum] }
+      assert_in_delta 7.7, totals[blocks(:one).block_number]
+      assert_in_delta 4.8, totals[blocks(:two).block_number]
+    end
+
+    test 'labour cost counts approved work orders by rate type' do
+      work_order = work_orders(:one)
+      row = work_order.work_order_workers.create!(worker: workers(:one), work_area_size: 2, rate: 100)
+      work_order.update_columns(work_order_status: 'completed', completion_date: Date.current,
+                                work_order_rate_type: 'normal')
+
+      data = ChartDataService.new('labour_cost', months: 1).call.value!
+
+      assert_equal %w[Normal Resources Work\ days], data[:series].pluck(:name)
+      assert_equal [row.reload.amount.to_f], data[:series].first[:values]
+    end
+
+    test 'throughput lists every status' do
+      data = ChartDataService.new('throughput', months: 1).call.value!
+
+      assert_equal ['Ongoing', 'Pending approval', 'Amendment required', 'Completed'], data[:series].pluck(:name)
+      assert_equal [WorkOrder.count], data[:series].first[:values]
+    end
+
+    test 'payroll reads the monthly pay calculation totals' do
+      PayCalculation.create!(month_year: Date.current.strftime('%Y-%m'), total_gross_salary: 1200,
+                             total_deductions: 150, total_net_salary: 1050)
+
+      data = ChartDataService.new('payroll', months: 3).call.value!
+
+      assert_equal 'line', data[:type]
+      assert_equal [[0.0, 0.0, 1200.0], [0.0, 0.0, 150.0], [0.0, 0.0, 1050.0]], data[:series].pluck(:values)
+    end
+
+    test 'keeps the period within bounds and rejects unknown charts' do
+      assert_equal ChartDataService::MAX_MONTHS, ChartDataService.new('payroll', months: 500).months
+      assert_equal ChartDataService::DEFAULT_MONTHS, ChartDataService.new('payroll', months: '').months
+      assert ChartDataService.new('weather').call.failure?
+    end
+  end
+end
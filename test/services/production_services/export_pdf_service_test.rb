@@ -15,7 +15,7 @@ module ProductionServices
         total_bunches: @records.sum(:total_bunches),
         total_weight_ton: @records.sum(:total_weight_ton)
       }
-      @filter_data = { mill: nil, block: nil }
+      @filter_data = { mills: [], blocks: [] }
 
       # Stub Grover.new to avoid Puppeteer dependency
       @original_grover_new = Grover.method(:new)
@@ -283,11 +283,11 @@ module ProductionServices
     test 'handles mill filter in extra_locals' do
       stub_grover_pdf do
         mill = mills(:one)
-        filter_data = { mill: mill, block: nil }
+        filter_data = { mills: [mill], blocks: [] }
 
         service = ExportPdfService.new(
           records: @records,
-          params: { q: { mill_id_eq: mill.id } },
+          params: { q: { mill_id_in: [mill.id] } },
           view_context: @view_context,
           extra_locals: { totals: @totals, filter_data: filter_data }
         )
@@ -300,11 +300,11 @@ module ProductionServices
     test 'handles block filter in extra_locals' do
       stub_grover_pdf do
         block = blocks(:one)
-        filter_data = { mill: nil, block: block }
+        filter_data = { mills: [], blocks: [block] }
 
         service = ExportPdfService.new(
           records: @records,
-          params: { q: { block_id_eq: block.id } },
+          params: { q: { block_id_in: [block.id] } },
           view_context: @view_context,
           extra_locals: { totals: @totals, filter_data: filter_data }
         )
@@ -318,11 +318,11 @@ module ProductionServices
       stub_grover_pdf do
         mill = mills(:one)
         block = blocks(:one)
-        filter_data = { mill: mill, block: block }
+        filter_data = { mills: [mill], blocks: [block] }
 
         service = ExportPdfService.new(
           records: @records,
-          params: { q: { mill_id_eq: mill.id, block_id_eq: block.id } },
+          params: { q: { mill_id_in: [mill.id], block_id_in: [block.id] } },
           view_context: @view_context,
           extra_locals: { totals: @totals, filter_data: filter_data }
         )
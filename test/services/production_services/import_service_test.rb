@@ -0,0 +1,76 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module ProductionServices
+  class ImportServiceTest < ActiveSupport::TestCase
+    def row(line, **attributes)
+      {
+        line: line, date: '2026-01-31', block_number: 'A-001', mill: 'Mill A', ticket_estate_no: "E-#{line}",
+        ticket_mill_no: "M-#{line}", total_bunches: '120', total_weight_ton: '2.45'
+      }.merge(attributes)
+    end
+
+    test 'saves the rows that pass and reports the others' do
+      rows = [
+        row(2, block_number: ' a-001 ', mill: 'mill b'),
+        row(3, block_number: 'Z-9'),
+        row(4, ticket_estate_no: 'EST-001'),
+        row(5, ticket_mill_no: 'MILL-001'),
+        row(6, date: '31/01/2026')
+      ]
+
+      assert_difference 'Production.count', 1 do
+        summary = ImportService.new(rows).call.value!
+
+        assert_equal 1, summary[:imported]
+        assert_equal [3, 4, 5, 6], summary[:rejected].pluck(:line)
+        assert_includes summary[:rejected][0][:errors], 'Block "Z-9" was not found'
+        assert_includes summary[:rejected][1][:errors], 'Ticket estate no. EST-001 is already recorded'
+        assert_includes summary[:rejected][2][:errors], 'Ticket mill no. MILL-001 is already recorded for this mill'
+        assert_includes summary[:rejected][3][:errors], 'Date "31/01/2026" is not a valid date'
+      end
+
+      production = Production.find_by!(ticket_estate_no: 'E-2')
+      assert_equal mills(:two), production.mill
+      assert_equal Date.new(2026, 1, 31), production.date
+    end
+
+    test 'tickets repeated within the file are only imported once' do
+      rows = [row(2), row(3, ticket_estate_no: 'E-2'), row(4, ticket_mill_no: 'M-2')]
+
+      summary = ImportService.new(rows).call.value!
+
+      assert_equal 1, summary[:imported]
+      assert_equal ['Ticket estate no. E-2 is repeated in the file'], summary[:rejected][0][:errors]
+      assert_equal ['Ticket mill no. M-2 is repeated in the file'], summary[:rejected][1][:errors]
+    end
+
+    test 'the same mill ticket number may come from another mill' do
+      summary = ImportService.new([row(2, ticket_mill_no: 'MILL-001', mill: 'Mill B')]).call.value!
+
+      assert_equal 1, summary[:imported]
+    end
+
+    test 'discarded mills are not found' do
+      mills(:two).discard
+
+      summary = ImportService.new([row(2, mill: 'Mill B')]).call.value!
+
+      assert_equal 0, summary[:imported]
+      assert_equal ['Mill "Mill B" was not found'], summary[:rejected][0][:errors]
+    end
+
+    test 'fails without rows' do
+      assert_equal 'There are no rows to import.', ImportService.new([]).call.failure
+    end
+
+    test 'lists the tickets already recorded' do
+      existing = ImportService.existing_tickets(ticket_estate_nos: %w[EST-001 E-NEW],
+                                                ticket_mill_nos: %w[MILL-002 M-NEW])
+
+      assert_equal ['EST-001'], existing[:ticket_estate_nos]
+      assert_equal [['Mill B', 'MILL-002']], existing[:ticket_mill_nos]
+    end
+  end
+end
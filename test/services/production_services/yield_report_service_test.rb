@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module ProductionServices
+  class YieldReportServiceTest < ActiveSupport::TestCase
+    setup do
+      @report = YieldReportService.new(Production.all, start_date: 1.month.ago.to_date, end_date: Date.current)
+                                  .call.value!
+      @blocks = @report[:blocks].index_by { |block| block[:block_number] }
+    end
+
+    test 'yields per block over the period' do
+      block = @blocks['A-001']
+
+      assert_in_delta 7.7, block[:weight]
+      assert_equal 325, block[:bunches]
+      assert_in_delta 0.302, block[:tons_per_hectare]
+      assert_in_delta 23.69, block[:avg_bunch_weight_kg]
+      assert_equal @report[:months].size, block[:monthly].size
+    end
+
+    test 'blocks well below the estate average are under-performing' do
+      assert_in_delta 0.222, @report[:estate][:tons_per_hectare]
+      assert_in_delta 56.25, @report[:estate][:hectarage]
+
+      assert @blocks['B-002'][:under_performing]
+      assert_not @blocks['A-001'][:under_performing]
+    end
+
+    test 'totals per mill with their share of the weight' do
+      mills = @report[:mills].index_by { |mill| mill[:name] }
+
+      assert_equal 2, mills['Mill A'][:tickets]
+      assert_in_delta 0.616, mills['Mill A'][:share]
+      assert_in_delta 24.0, mills['Mill B'][:avg_bunch_weight_kg]
+    end
+
+    test 'rejects inverted and overly long periods' do
+      inverted = YieldReportService.new(Production.all, start_date: Date.current, end_date: 1.day.ago.to_date).call
+      too_long = YieldReportService.new(Production.all, start_date: 3.years.ago.to_date, end_date: Date.current).call
+
+      assert inverted.failure?
+      assert too_long.failure?
+    end
+  end
+end
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module WorkOrderServices
+  class BatchApprovalServiceTest < ActiveSupport::TestCase
+    setup do
+      @user = users(:admin)
+      @pending = work_orders(:one)
+      @pending.update_columns(work_order_status: 'pending', completion_date: Date.new(2025, 1, 31))
+      @ongoing = work_orders(:two)
+    end
+
+    test 'approves each order in its own transaction and reports the ones that fail' do
+      result = batch([@pending.id, @ongoing.id], :approve)
+
+      assert result.success?
+      outcomes = result.value![:results].index_by { |outcome| outcome[:id] }
+
+      assert outcomes[@pending.id][:success]
+      assert_not outcomes[@ongoing.id][:success]
+      assert_match 'ongoing', outcomes[@ongoing.id][:message]
+      assert_equal '1 of 2 work orders approved.', result.value![:message]
+      assert @pending.reload.completed?
+      assert @ongoing.reload.ongoing?
+    end
+
+    test 'requests amendment with the shared remarks' do
+      result = batch([@pending.id], 'request_amendment', remarks: 'Wrong block')
+
+      assert result.success?
+      assert @pending.reload.amendment_required?
+      assert_equal 'Wrong block', @pending.latest_amendment_history.remarks
+    end
+
+    test 'reports work orders outside the scope as not found' do
+      result = batch([@pending.id], :approve, scope: WorkOrder.where.not(id: @pending.id))
+
+      assert_equal [{ id: @pending.id, success: false, message: 'Work order not found.' }], result.value![:results]
+      assert @pending.reload.pending?
+    end
+
+    test 'fails without ids, with an unknown action or without amendment remarks' do
+      assert batch([], :approve).failure?
+      assert batch([@pending.id], :destroy).failure?
+      assert batch([@pending.id], :request_amendment, remarks: ' ').failure?
+      assert @pending.reload.pending?
+    end
+
+    private
+
+    def batch(ids, action, scope: WorkOrder.all, remarks: nil)
+      BatchApprovalService.call(scope, ids: ids, action: action, current_user: @user, remarks: remarks)
+    end
+  end
+end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module WorkOrderServices
+  class RequestAmendmentServiceTest < ActiveSupport::TestCase
+    setup do
+      @work_order = work_orders(:one)
+      @worker_row = @work_order.work_order_workers.create!(worker: workers(:one), work_area_size: 2, rate: 100)
+      @work_order.mark_complete!
+    end
+
+    test 'keeps row comments with the amendment history entry' do
+      comments = [
+        { row_type: 'worker', row_id: @worker_row.id, body: 'Area looks too big' },
+        { row_type: 'worker', row_id: @worker_row.id, body: ' ' }
+      ]
+      result = RequestAmendmentService.new(@work_order, nil, comments).call
+
+      assert result.success?
+      comment = @work_order.latest_amendment_history.line_comments.sole
+      assert_equal @worker_row, comment.commentable
+      assert_equal 'worker', comment.row_type
+      assert_equal @worker_row.worker_name, comment.row_name
+      assert_equal 'Area looks too big', comment.body
+    end
+
+    test 'fails without changing the work order when a commented row is not on it' do
+      other_row = work_orders(:two).work_order_workers.create!(worker: workers(:two), work_area_size: 1, rate: 100)
+
+      comments = [{ row_type: 'worker', row_id: other_row.id, body: 'Wrong worker' }]
+      result = RequestAmendmentService.new(@work_order, 'Check rows', comments).call
+
+      assert result.failure?
+      assert @work_order.reload.pending?
+    end
+
+    test 'blocks resubmitting until every row comment is resolved' do
+      comments = [{ row_type: 'worker', row_id: @worker_row.id, body: 'Area looks too big' }]
+      RequestAmendmentService.new(@work_order, nil, comments).call
+      comment = @work_order.line_comments.sole
+
+      assert_not @work_order.may_reopen?
+      assert_match 'amendment comment', @work_order.guard_failure_message
+
+      @work_order.update!(line_comments_attributes: [{ id: comment.id, resolved: '1' }])
+
+      assert comment.reload.resolved?
+      assert @work_order.may_reopen?
+    end
+  end
+end
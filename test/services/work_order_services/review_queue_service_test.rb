@@ -0,0 +1,66 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module WorkOrderServices
+  class ReviewQueueServiceTest < ActiveSupport::TestCase
+    setup do
+      WorkOrder.update_all(work_order_status: 'pending', completion_date: Date.new(2025, 1, 31))
+      @scope = WorkOrder.order(id: :desc)
+      @first, @second = @scope.to_a
+    end
+
+    test 'starts at the first pending work order' do
+      queue = ReviewQueueService.new(@scope).call.value!
+
+      assert_equal({ position: nil, pending: 2, next_id: @first.id, previous_id: nil }, queue)
+    end
+
+    test 'keeps a decided work order in place to find the next one' do
+      @first.update_columns(work_order_status: 'completed')
+
+      queue = ReviewQueueService.new(@scope, current_id: @first.id).call.value!
+
+      assert_equal({ position: 1, pending: 1, next_id: @second.id, previous_id: nil }, queue)
+    end
+
+    test 'has nothing after the last work order' do
+      queue = ReviewQueueService.new(@scope, current_id: @second.id).call.value!
+
+      assert_nil queue[:next_id]
+      assert_equal @first.id, queue[:previous_id]
+    end
+
+    test 'follows the index sort order, with the id as the tiebreaker' do
+      @first.update_columns(start_date: Date.new(2025, 1, 10))
+      @second.update_columns(start_date: Date.new(2025, 1, 1))
+      order = [[WorkOrder.arel_table[:start_date], 'asc']]
+
+      assert_equal @second.id, ReviewQueueService.new(@scope, order: order).call.value![:next_id]
+
+      queue = ReviewQueueService.new(@scope, current_id: @second.id, order: order).call.value!
+      assert_equal({ position: 1, pending: 2, next_id: @first.id, previous_id: nil }, queue)
+
+      @second.update_columns(start_date: Date.new(2025, 1, 10))
+      queue = ReviewQueueService.new(@scope, current_id: @first.id, order: order).call.value!
+      assert_equal({ position: 1, pending: 2, next_id: @second.id, previous_id: nil }, queue)
+    end
+
+    test 'sorts blank values last ascending' do
+      @first.update_columns(completion_date: nil)
+      order = [[WorkOrder.arel_table[:completion_date], 'asc']]
+
+      queue = ReviewQueueService.new(@scope, current_id: @first.id, order: order).call.value!
+
+      assert_equal({ position: 2, pending: 2, next_id: nil, previous_id: @second.id }, queue)
+    end
+
+    test 'counts the position among the pending work orders only' do
+      @first.update_columns(work_order_status: 'completed')
+
+      queue = ReviewQueueService.new(@scope, current_id: @second.id).call.value!
+
+      assert_equal({ position: 1, pending: 1, next_id: nil, previous_id: nil }, queue)
+    end
+  end
+end
@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+module WorkOrderServices
+  class SubmissionDiffServiceTest < ActiveSupport::TestCase
+    setup do
+      @work_order = work_orders(:one)
+      @kept = @work_order.work_order_workers.create!(worker: workers(:one), work_area_size: 2, rate: 100)
+      @dropped = @work_order.work_order_workers.create!(worker: workers(:two), work_area_size: 1, rate: 100)
+      @work_order.mark_complete!
+      @work_order.request_amendment!(remarks: 'Check the areas')
+    end
+
+    test 'fails until the work order has been resubmitted' do
+      assert SubmissionDiffService.new(@work_order).call.failure?
+    end
+
+    test 'reports added, removed and changed rows with amount deltas' do
+      @kept.update!(work_area_size: 2.5)
+      @dropped.destroy!
+      inventories(:one).inventory_orders.create!(quantity: 9, total_price: 100, supplier: 'Agro Supply',
+                                                 purchase_date: Date.new(2025, 12, 1))
+      @work_order.work_order_items.create!(inventory: inventories(:one), amount_used: 3)
+      @work_order.reopen!
+
+      diff = SubmissionDiffService.new(@work_order).call.value!
+      workers = diff[:workers].index_by { |row| row[:current]&.dig('worker_id') || row[:previous]['worker_id'] }
+
+      assert_equal :changed, workers[workers(:one).id][:status]
+      assert_equal %w[work_area_size amount], workers[workers(:one).id][:changed_fields]
+      assert_equal BigDecimal('50'), workers[workers(:one).id][:amount_delta]
+      assert_equal :removed, workers[workers(:two).id][:status]
+      assert_equal BigDecimal('-100'), workers[workers(:two).id][:amount_delta]
+      assert_equal [:added], diff[:items].pluck(:status)
+      assert_equal({ previous: BigDecimal('300'), current: BigDecimal('250'), delta: BigDecimal('-50') },
+                   diff[:amount_total])
+    end
+
+    test 'treats rows resubmitted as they were as unchanged' do
+      @work_order.reopen!
+
+      diff = SubmissionDiffService.new(@work_order).call.value!
+
+      assert_equal %i[unchanged unchanged], diff[:workers].pluck(:status)
+      assert diff[:amount_total][:delta].zero?
+    end
+  end
+end